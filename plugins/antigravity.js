@@ -4,6 +4,31 @@ const os = require('os');
 const crypto = require('crypto');
 const http = require('http');
 const { exec } = require('child_process');
+const {
+  RETRY_DEFAULTS,
+  TRANSIENT_STATUSES,
+  classifyFailure,
+  resolveSafetySettings,
+  getBlockedResult,
+  mapFinishReason,
+  applySamplingParams,
+  isJsonResponseFormat,
+  applyResponseFormat,
+  invalidResponseFormatError,
+  functionCallToToolCall,
+  candidateToChoice,
+  finishAnswerText,
+  repairToolPairing,
+  mergeConsecutiveTurns,
+  isRemoteImageUrl,
+  fetchRemoteImages,
+  withRequestId,
+  createRequestStateStore,
+  GEMINI_BYPASS_SIGNATURE,
+  getModelFamily,
+  tagSignature,
+  resolveSignature,
+} = require('./lib/google-common');
 
 // --- Debug Logger ---
 const DEBUG = process.env.ANTIGRAVITY_DEBUG === '1' || process.env.ANTIGRAVITY_DEBUG === 'true';
@@ -28,19 +53,137 @@ function log(level, message, data = null) {
   }
 }
 
+// Tag a log line with the request's correlation ID so interleaved requests can be told apart
+function requestLog(state, level, message, data = null) {
+  log(level, state?.id ? `[${state.id}] ${message}` : message, data);
+}
+
 // --- Thinking Signature Cache ---
-// Caches thinking signatures per session to enable multi-turn conversations
+// Caches thinking signatures per conversation to enable multi-turn conversations.
+// Keys are `${conversationFingerprint}:${model}` so parallel sessions on the same model don't
+// overwrite each other. Entries are persisted to SIGNATURE_CACHE_FILE so they survive restarts.
+// Only { signature, timestamp } is kept - never the thinking text - and replayed thinking blocks
+// use a "(thinking)" placeholder.
+const SIGNATURE_MAX_AGE_MS = 30 * 60 * 1000; // 30 minutes
+const SIGNATURE_CACHE_MAX_ENTRIES = 200;
+const SIGNATURE_CACHE_MAX_BYTES = 1024 * 1024;
+// New signatures are written in one batch this long after the first of them
+const SIGNATURE_SAVE_DELAY_MS = 1000;
 const signatureCache = new Map();
+let signatureCacheLoaded = false;
+let signatureSaveTimer = null;
+let signatureSavePromise = null;
+
+/**
+ * Build a stable fingerprint for a conversation from its system prompt and first user message.
+ */
+function getConversationFingerprint(messages) {
+  const textOf = (content) => {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) return content.map(p => (typeof p?.text === 'string' ? p.text : '')).join('\n');
+    return content?.text || '';
+  };
+  const system = (messages || []).filter(m => m.role === 'system').map(m => textOf(m.content)).join('\n\n');
+  const firstUser = (messages || []).find(m => m.role === 'user');
+  return crypto.createHash('sha256')
+    .update(system)
+    .update('\u0000')
+    .update(textOf(firstUser?.content))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function loadSignatureCache() {
+  if (signatureCacheLoaded) return;
+  signatureCacheLoaded = true;
+  try {
+    mergeStoredSignatures(fs.readFileSync(SIGNATURE_CACHE_FILE, 'utf8'));
+    clearExpiredSignatures();
+    log('debug', `Loaded ${signatureCache.size} cached signatures`);
+  } catch (e) {
+    // No cache file yet
+  }
+}
+
+/**
+ * Merge a cache file's entries into the in-memory cache, keeping the newer entry for each key.
+ * Older files also stored the thinking text; only the signature and timestamp are taken.
+ */
+function mergeStoredSignatures(data) {
+  for (const [key, value] of Object.entries(JSON.parse(data))) {
+    if (typeof value?.signature !== 'string' || typeof value.timestamp !== 'number') continue;
+    const current = signatureCache.get(key);
+    if (!current || current.timestamp < value.timestamp) {
+      signatureCache.set(key, { signature: value.signature, timestamp: value.timestamp });
+    }
+  }
+}
+
+/**
+ * Write the cache to disk, merging entries other CCR processes have written since we loaded it.
+ * Only the newest entries are kept, up to SIGNATURE_CACHE_MAX_ENTRIES and SIGNATURE_CACHE_MAX_BYTES.
+ */
+async function saveSignatureCache() {
+  try {
+    mergeStoredSignatures(await fs.promises.readFile(SIGNATURE_CACHE_FILE, 'utf8'));
+  } catch (e) {
+    // No cache file yet
+  }
+  clearExpiredSignatures();
+
+  const entries = [];
+  let bytes = 2; // {}
+  for (const entry of [...signatureCache.entries()].sort((a, b) => b[1].timestamp - a[1].timestamp)) {
+    bytes += JSON.stringify(entry[0]).length + JSON.stringify(entry[1]).length + 2;
+    if (entries.length >= SIGNATURE_CACHE_MAX_ENTRIES || bytes > SIGNATURE_CACHE_MAX_BYTES) break;
+    entries.push(entry);
+  }
+  signatureCache.clear();
+  for (const [key, value] of entries) {
+    signatureCache.set(key, value);
+  }
+
+  try {
+    await fs.promises.mkdir(path.dirname(SIGNATURE_CACHE_FILE), { recursive: true });
+    const tmpFile = `${SIGNATURE_CACHE_FILE}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify(Object.fromEntries(entries)), { mode: 0o600 });
+    await fs.promises.rename(tmpFile, SIGNATURE_CACHE_FILE);
+  } catch (e) {
+    log('error', 'Failed to write signature cache', { error: e.message });
+  }
+}
+
+/**
+ * Save the cache shortly, batching the signatures of concurrent responses into one write.
+ * Writes never overlap; a signature cached during a write schedules the next one.
+ */
+function scheduleSignatureSave() {
+  if (signatureSaveTimer) return;
+  signatureSaveTimer = setTimeout(async () => {
+    await signatureSavePromise;
+    signatureSaveTimer = null;
+    signatureSavePromise = saveSignatureCache();
+  }, SIGNATURE_SAVE_DELAY_MS);
+  signatureSaveTimer.unref?.();
+}
 
-function cacheSignature(sessionKey, text, signature) {
+function cacheSignature(sessionKey, signature) {
   if (!sessionKey || !signature) return;
-  signatureCache.set(sessionKey, { text, signature, timestamp: Date.now() });
+  loadSignatureCache();
+  const cached = signatureCache.get(sessionKey);
+  if (cached && cached.signature === signature) {
+    cached.timestamp = Date.now();
+    return;
+  }
+  signatureCache.set(sessionKey, { signature, timestamp: Date.now() });
+  scheduleSignatureSave();
   log('debug', `Cached signature for session ${sessionKey}`, { signatureLength: signature.length });
 }
 
 function getCachedSignature(sessionKey) {
+  loadSignatureCache();
   const cached = signatureCache.get(sessionKey);
-  if (cached) {
+  if (cached && Date.now() - cached.timestamp <= SIGNATURE_MAX_AGE_MS) {
     log('debug', `Retrieved cached signature for session ${sessionKey}`);
     return cached;
   }
@@ -48,10 +191,9 @@ function getCachedSignature(sessionKey) {
 }
 
 function clearExpiredSignatures() {
-  const maxAge = 30 * 60 * 1000; // 30 minutes
   const now = Date.now();
   for (const [key, value] of signatureCache.entries()) {
-    if (now - value.timestamp > maxAge) {
+    if (now - value.timestamp > SIGNATURE_MAX_AGE_MS) {
       signatureCache.delete(key);
     }
   }
@@ -79,6 +221,15 @@ const ENDPOINTS = [
 // Path to claude-code-router's antigravity accounts file
 const CCR_CONFIG_DIR = path.join(os.homedir(), '.config', 'claude-code-router');
 const ANTIGRAVITY_ACCOUNTS_FILE = path.join(CCR_CONFIG_DIR, 'antigravity-accounts.json');
+// Persisted thinking signatures, keyed by conversation fingerprint and model
+const SIGNATURE_CACHE_FILE = path.join(CCR_CONFIG_DIR, 'antigravity-signatures.json');
+// Optional shared access token cache (enabled with the shareTokenCache option)
+const ANTIGRAVITY_TOKEN_CACHE_FILE = path.join(CCR_CONFIG_DIR, 'antigravity-tokens.json');
+
+// Cooldown applied to a rate-limited account when the 429 carries no retry delay
+const DEFAULT_RATE_LIMIT_COOLDOWN_MS = 5 * 60 * 1000;
+// How long a failed endpoint is skipped before a health check may bring it back
+const ENDPOINT_COOLDOWN_MS = 5 * 60 * 1000;
 
 // Headers for Antigravity API requests
 const ANTIGRAVITY_HEADERS = {
@@ -180,12 +331,9 @@ async function fetchProjectID(accessToken) {
 }
 
 /**
- * Perform OAuth login flow
+ * Build the Google OAuth consent URL for the PKCE flow
  */
-async function performLogin() {
-  const verifier = generateVerifier();
-  const challenge = generateChallenge(verifier);
-
+function buildAuthUrl(challenge, state) {
   const authUrl = new URL("https://accounts.google.com/o/oauth2/v2/auth");
   authUrl.searchParams.set("client_id", ANTIGRAVITY_CLIENT_ID);
   authUrl.searchParams.set("response_type", "code");
@@ -195,10 +343,147 @@ async function performLogin() {
   authUrl.searchParams.set("code_challenge_method", "S256");
   authUrl.searchParams.set("access_type", "offline");
   authUrl.searchParams.set("prompt", "consent");
-  authUrl.searchParams.set("state", verifier); // Simplified - just pass verifier as state
+  authUrl.searchParams.set("state", state);
+  return authUrl;
+}
+
+/**
+ * Exchange an authorization code for tokens and save the account
+ */
+async function completeLogin(code, verifier) {
+  // Exchange code for tokens
+  const tokenParams = new URLSearchParams({
+    client_id: ANTIGRAVITY_CLIENT_ID,
+    client_secret: ANTIGRAVITY_CLIENT_SECRET,
+    code,
+    grant_type: 'authorization_code',
+    redirect_uri: ANTIGRAVITY_REDIRECT_URI,
+    code_verifier: verifier
+  });
+
+  const tokenRes = await fetch("https://oauth2.googleapis.com/token", {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: tokenParams
+  });
+
+  if (!tokenRes.ok) throw new Error(await tokenRes.text());
+  const tokens = await tokenRes.json();
+
+  // Get user email
+  let email = "unknown";
+  try {
+    const userInfoRes = await fetch("https://www.googleapis.com/oauth2/v1/userinfo?alt=json", {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    if (userInfoRes.ok) {
+      const userInfo = await userInfoRes.json();
+      email = userInfo.email || email;
+    }
+  } catch (e) {
+    // Ignore
+  }
+
+  // Get Project ID
+  const projectId = await fetchProjectID(tokens.access_token);
+
+  // Load existing accounts or create new
+  let accountsData = loadAntigravityAccounts();
+  if (!accountsData) {
+    accountsData = {
+      version: 3,
+      accounts: [],
+      activeIndex: 0,
+      activeIndexByFamily: { claude: 0, gemini: 0 }
+    };
+  }
+
+  // Add new account
+  const newAccount = {
+    email,
+    refreshToken: tokens.refresh_token,
+    projectId,
+    managedProjectId: projectId,
+    addedAt: Date.now(),
+    lastUsed: Date.now()
+  };
+
+  accountsData.accounts.push(newAccount);
+  accountsData.activeIndex = accountsData.accounts.length - 1;
+  accountsData.activeIndexByFamily.claude = accountsData.accounts.length - 1;
+  accountsData.activeIndexByFamily.gemini = accountsData.accounts.length - 1;
+
+  await saveAccounts(accountsData);
+
+  console.log(`\nSuccessfully logged in as ${email}!`);
+  console.log(`Project ID: ${projectId}`);
+  console.log(`Account saved to: ${ANTIGRAVITY_ACCOUNTS_FILE}`);
+  return newAccount;
+}
+
+/**
+ * Extract the authorization code from a pasted redirect URL, query string, or bare code.
+ * When a state is present it must match the one we sent.
+ */
+function parseAuthorizationInput(input, expectedState) {
+  const value = (input || '').trim();
+  if (!value) throw new Error('No code received');
+
+  if (!/[?&]?code=/.test(value) && !/[?&]error=/.test(value)) {
+    // Bare authorization code - PKCE still binds it to this login attempt
+    return value;
+  }
+
+  const query = value.includes('?') ? value.slice(value.indexOf('?') + 1) : value;
+  const params = new URLSearchParams(query.split('#')[0]);
+  if (params.get('error')) {
+    throw new Error(`Authorization failed: ${params.get('error')}`);
+  }
+  // Only a bare code may skip the state check; a URL without state could come from anywhere
+  const state = params.get('state');
+  if (state === null) {
+    throw new Error('The pasted URL has no state parameter - paste the full redirect URL');
+  }
+  if (state !== expectedState) {
+    throw new Error('State mismatch - the pasted URL is not from this login attempt');
+  }
+  const code = params.get('code');
+  if (!code) throw new Error('No code received');
+  return code;
+}
+
+function promptLine(question) {
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Perform OAuth login flow
+ * With noBrowser, the auth URL is printed and the redirect URL (or code) is pasted back on stdin,
+ * for machines where the browser can't reach localhost:51121 (e.g. over SSH).
+ */
+async function performLogin({ noBrowser = false } = {}) {
+  const verifier = generateVerifier();
+  const challenge = generateChallenge(verifier);
+  const state = base64URLEncode(crypto.randomBytes(16));
+  const authUrl = buildAuthUrl(challenge, state);
 
   console.log("\nPlease open the following URL to authenticate:\n");
   console.log(authUrl.toString());
+
+  if (noBrowser) {
+    console.log("\nAfter signing in, your browser will be redirected to a localhost URL that fails to load.");
+    console.log("Copy that full URL from the address bar (or just the 'code' parameter) and paste it here.\n");
+    const input = await promptLine("Redirect URL or code: ");
+    return completeLogin(parseAuthorizationInput(input, state), verifier);
+  }
+
   console.log("\nWaiting for callback on http://localhost:51121/oauth-callback ...\n");
 
   return new Promise((resolve, reject) => {
@@ -207,6 +492,14 @@ async function performLogin() {
 
       if (reqUrl.pathname === '/oauth-callback') {
         const code = reqUrl.searchParams.get('code');
+        const error = reqUrl.searchParams.get('error');
+
+        if (reqUrl.searchParams.get('state') !== state) {
+          // Not our login attempt - keep waiting for the real callback
+          res.writeHead(400);
+          res.end('Invalid state');
+          return;
+        }
 
         if (code) {
           res.writeHead(200, { 'Content-Type': 'text/html' });
@@ -214,82 +507,16 @@ async function performLogin() {
           server.close();
 
           try {
-            // Exchange code for tokens
-            const tokenParams = new URLSearchParams({
-              client_id: ANTIGRAVITY_CLIENT_ID,
-              client_secret: ANTIGRAVITY_CLIENT_SECRET,
-              code,
-              grant_type: 'authorization_code',
-              redirect_uri: ANTIGRAVITY_REDIRECT_URI,
-              code_verifier: verifier
-            });
-
-            const tokenRes = await fetch("https://oauth2.googleapis.com/token", {
-              method: "POST",
-              headers: { "Content-Type": "application/x-www-form-urlencoded" },
-              body: tokenParams
-            });
-
-            if (!tokenRes.ok) throw new Error(await tokenRes.text());
-            const tokens = await tokenRes.json();
-
-            // Get user email
-            let email = "unknown";
-            try {
-              const userInfoRes = await fetch("https://www.googleapis.com/oauth2/v1/userinfo?alt=json", {
-                headers: { Authorization: `Bearer ${tokens.access_token}` }
-              });
-              if (userInfoRes.ok) {
-                const userInfo = await userInfoRes.json();
-                email = userInfo.email || email;
-              }
-            } catch (e) {
-              // Ignore
-            }
-
-            // Get Project ID
-            const projectId = await fetchProjectID(tokens.access_token);
-
-            // Load existing accounts or create new
-            let accountsData = loadAntigravityAccounts();
-            if (!accountsData) {
-              accountsData = {
-                version: 3,
-                accounts: [],
-                activeIndex: 0,
-                activeIndexByFamily: { claude: 0, gemini: 0 }
-              };
-            }
-
-            // Add new account
-            const newAccount = {
-              email,
-              refreshToken: tokens.refresh_token,
-              projectId,
-              managedProjectId: projectId,
-              addedAt: Date.now(),
-              lastUsed: Date.now()
-            };
-
-            accountsData.accounts.push(newAccount);
-            accountsData.activeIndex = accountsData.accounts.length - 1;
-            accountsData.activeIndexByFamily.claude = accountsData.accounts.length - 1;
-            accountsData.activeIndexByFamily.gemini = accountsData.accounts.length - 1;
-
-            await saveAccounts(accountsData);
-
-            console.log(`\nSuccessfully logged in as ${email}!`);
-            console.log(`Project ID: ${projectId}`);
-            console.log(`Account saved to: ${ANTIGRAVITY_ACCOUNTS_FILE}`);
-            resolve(newAccount);
+            resolve(await completeLogin(code, verifier));
           } catch (e) {
             console.error("\nLogin failed:", e.message);
             reject(e);
           }
         } else {
           res.writeHead(400);
-          res.end('No code received');
-          reject(new Error('No code received'));
+          res.end(error ? `Authorization failed: ${error}` : 'No code received');
+          server.close();
+          reject(new Error(error ? `Authorization failed: ${error}` : 'No code received'));
         }
       }
     });
@@ -330,17 +557,70 @@ function getActiveAccount(accountsData, modelFamily = 'gemini') {
 }
 
 /**
- * Determine model family from model name.
- * Returns 'claude' for Claude models, 'gemini' for Gemini models.
+ * Get the index of the active account for a model family, mirroring getActiveAccount's fallbacks.
+ */
+function getActiveIndex(accountsData, modelFamily = 'gemini') {
+  let activeIndex = accountsData.activeIndexByFamily?.[modelFamily];
+  if (activeIndex === undefined || activeIndex === null) {
+    activeIndex = accountsData.activeIndex;
+  }
+  if (activeIndex === undefined || activeIndex === null || !accountsData.accounts[activeIndex]) {
+    activeIndex = 0;
+  }
+  return activeIndex;
+}
+
+/**
+ * Check whether an account is cooling down after a 429 for the given model family.
+ * Cooldowns are stored per account as rateLimitResetTimes: { claude, gemini } (epoch ms).
+ */
+function isAccountRateLimited(account, modelFamily, now = Date.now()) {
+  const resetAt = account?.rateLimitResetTimes?.[modelFamily];
+  return typeof resetAt === 'number' && resetAt > now;
+}
+
+/**
+ * Pick the account to use for a model family.
+ * Keeps the active account while it is healthy, otherwise walks the list round-robin
+ * from the active index and returns the first account that is not cooling down.
+ * Returns -1 if every account is rate-limited for this family.
  */
-function getModelFamily(modelName) {
-  const lowerModel = modelName.toLowerCase();
-  if (lowerModel.includes('claude')) {
-    return 'claude';
+function selectAvailableAccountIndex(accountsData, modelFamily) {
+  const accounts = accountsData?.accounts || [];
+  if (accounts.length === 0) return -1;
+
+  const start = getActiveIndex(accountsData, modelFamily);
+  const now = Date.now();
+  for (let offset = 0; offset < accounts.length; offset++) {
+    const index = (start + offset) % accounts.length;
+    if (!isAccountRateLimited(accounts[index], modelFamily, now)) {
+      return index;
+    }
   }
-  return 'gemini';
+  return -1;
 }
 
+/**
+ * Record a rate-limit cooldown for an account and drop cooldowns that have already expired.
+ */
+function markAccountRateLimited(accountsData, index, modelFamily, resetAt) {
+  const account = accountsData?.accounts?.[index];
+  if (!account) return;
+
+  const now = Date.now();
+  account.rateLimitResetTimes = account.rateLimitResetTimes || {};
+  for (const [family, time] of Object.entries(account.rateLimitResetTimes)) {
+    if (typeof time !== 'number' || time <= now) {
+      delete account.rateLimitResetTimes[family];
+    }
+  }
+  account.rateLimitResetTimes[modelFamily] = resetAt;
+}
+
+// --- Retry Policy ---
+// Retries, backoff and the 429 triage live in lib/google-common.js, shared with gemini-cli.js.
+// Tuned with config.retry, e.g. { maxRetries: 3, baseDelayMs: 1000, maxDelayMs: 30000, maxRetryDelayMs: 60000 }.
+
 /**
  * Refresh an access token using a refresh token.
  * Returns: { access_token, expiry_date }
@@ -371,6 +651,212 @@ async function refreshAccessToken(refreshToken) {
   };
 }
 
+// --- Access Token Cache ---
+// Access tokens are cached per account (keyed by a hash of the refresh token) until expiry_date.
+// Concurrent requests for the same account share one in-flight refresh.
+const accessTokenCache = new Map();
+const pendingTokenRefreshes = new Map();
+
+function getTokenCacheKey(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex').slice(0, 32);
+}
+
+function isTokenValid(tokenData) {
+  return !!tokenData?.access_token && typeof tokenData.expiry_date === 'number' && tokenData.expiry_date > Date.now();
+}
+
+function loadSharedTokenCache() {
+  try {
+    return JSON.parse(fs.readFileSync(ANTIGRAVITY_TOKEN_CACHE_FILE, 'utf8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Merge a token into the shared cache file so other CCR processes can reuse it.
+ * Expired entries are dropped and the file is replaced atomically.
+ */
+async function saveSharedToken(key, tokenData) {
+  const cache = loadSharedTokenCache();
+  for (const [k, v] of Object.entries(cache)) {
+    if (!isTokenValid(v)) delete cache[k];
+  }
+  cache[key] = tokenData;
+
+  try {
+    await ensureDir(CCR_CONFIG_DIR);
+    const tmpFile = `${ANTIGRAVITY_TOKEN_CACHE_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(cache, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpFile, ANTIGRAVITY_TOKEN_CACHE_FILE);
+  } catch (e) {
+    log('error', 'Failed to write shared token cache', { error: e.message });
+  }
+}
+
+/**
+ * Get a valid access token for a refresh token, refreshing only when the cached one has expired.
+ * Returns: { access_token, expiry_date }
+ */
+async function getAccessToken(refreshToken, { shared = false } = {}) {
+  const key = getTokenCacheKey(refreshToken);
+
+  const cached = accessTokenCache.get(key);
+  if (isTokenValid(cached)) return cached;
+
+  if (shared) {
+    const fromFile = loadSharedTokenCache()[key];
+    if (isTokenValid(fromFile)) {
+      accessTokenCache.set(key, fromFile);
+      log('debug', 'Using access token from shared cache');
+      return fromFile;
+    }
+  }
+
+  if (pendingTokenRefreshes.has(key)) {
+    return pendingTokenRefreshes.get(key);
+  }
+
+  const refresh = (async () => {
+    try {
+      const tokenData = await refreshAccessToken(refreshToken);
+      accessTokenCache.set(key, tokenData);
+      if (shared) await saveSharedToken(key, tokenData);
+      log('debug', 'Refreshed access token', { expiresAt: new Date(tokenData.expiry_date).toISOString() });
+      return tokenData;
+    } finally {
+      pendingTokenRefreshes.delete(key);
+    }
+  })();
+  pendingTokenRefreshes.set(key, refresh);
+  return refresh;
+}
+
+/**
+ * Drop a cached access token (e.g. after the API rejects it with a 401).
+ */
+function invalidateAccessToken(refreshToken) {
+  const key = getTokenCacheKey(refreshToken);
+  accessTokenCache.delete(key);
+  pendingTokenRefreshes.delete(key);
+}
+
+// --- Endpoint Failover ---
+// Generation requests start on the first healthy endpoint in ENDPOINTS and fail over down the list.
+// The last endpoint that answered is remembered per model; failed endpoints stay marked down
+// until their cooldown has passed and a health check against them succeeds.
+const preferredEndpointByModel = new Map();
+const endpointFailures = new Map();
+
+function getEndpointKey(endpoint, model) {
+  return `${endpoint}|${model}`;
+}
+
+function isEndpointDown(endpoint, model) {
+  return endpointFailures.has(getEndpointKey(endpoint, model));
+}
+
+function markEndpointDown(endpoint, model, reason) {
+  const key = getEndpointKey(endpoint, model);
+  endpointFailures.set(key, { downUntil: Date.now() + ENDPOINT_COOLDOWN_MS, probing: false, reason });
+  if (preferredEndpointByModel.get(model) === endpoint) {
+    preferredEndpointByModel.delete(model);
+  }
+  log('info', `Endpoint ${endpoint} marked down for ${model}`, { reason });
+}
+
+function markEndpointGood(endpoint, model) {
+  endpointFailures.delete(getEndpointKey(endpoint, model));
+  if (preferredEndpointByModel.get(model) !== endpoint) {
+    preferredEndpointByModel.set(model, endpoint);
+    log('debug', `Using endpoint ${endpoint} for ${model}`);
+  }
+}
+
+/**
+ * Check whether a failed endpoint is reachable again via loadCodeAssist.
+ * On success the endpoint is cleared and becomes eligible for the model; otherwise its cooldown restarts.
+ */
+async function checkEndpointHealth(endpoint, model, accessToken) {
+  const failure = endpointFailures.get(getEndpointKey(endpoint, model));
+  if (!failure) return;
+  failure.probing = true;
+
+  try {
+    const res = await fetch(`${endpoint}/v1internal:loadCodeAssist`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+        ...ANTIGRAVITY_HEADERS,
+      },
+      body: JSON.stringify({
+        metadata: {
+          ideType: "IDE_UNSPECIFIED",
+          platform: "PLATFORM_UNSPECIFIED",
+          pluginType: "GEMINI",
+        }
+      }),
+      signal: AbortSignal.timeout(10000)
+    });
+    if (res.ok) {
+      endpointFailures.delete(getEndpointKey(endpoint, model));
+      if (ENDPOINTS.indexOf(endpoint) < ENDPOINTS.indexOf(preferredEndpointByModel.get(model))) {
+        preferredEndpointByModel.delete(model);
+      }
+      log('info', `Endpoint ${endpoint} recovered for ${model}`);
+      return;
+    }
+    failure.reason = `health check ${res.status}`;
+  } catch (e) {
+    failure.reason = `health check ${e.message}`;
+  }
+  failure.downUntil = Date.now() + ENDPOINT_COOLDOWN_MS;
+  failure.probing = false;
+}
+
+/**
+ * Pick the endpoint for a generation request.
+ * Kicks off background health checks for higher-priority endpoints whose cooldown has expired.
+ *
+ * Limitation: CCR sends the first request itself, and a network error on that fetch is thrown
+ * inside CCR without ever reaching transformResponseOut. Only error responses, and network
+ * errors on our own replays (replayRequest), trigger failover; a request whose first attempt
+ * can't connect at all fails without trying the next endpoint.
+ */
+function selectEndpoint(model, accessToken) {
+  const now = Date.now();
+  for (const endpoint of ENDPOINTS) {
+    const failure = endpointFailures.get(getEndpointKey(endpoint, model));
+    if (failure && !failure.probing && failure.downUntil <= now) {
+      checkEndpointHealth(endpoint, model, accessToken).catch(() => {});
+    }
+  }
+
+  const preferred = preferredEndpointByModel.get(model);
+  if (preferred && !isEndpointDown(preferred, model)) return preferred;
+
+  const healthy = ENDPOINTS.find(endpoint => !isEndpointDown(endpoint, model));
+  if (healthy) return healthy;
+
+  // Everything is down - go with whichever endpoint comes back first
+  return ENDPOINTS.reduce((best, endpoint) =>
+    endpointFailures.get(getEndpointKey(endpoint, model)).downUntil <
+    endpointFailures.get(getEndpointKey(best, model)).downUntil ? endpoint : best
+  );
+}
+
+/**
+ * Decide whether an error response means "try the next endpoint":
+ * server errors, a 404 (the endpoint, or the model on this endpoint, is missing - e.g.
+ * "Requested entity was not found"), or a 400 saying the model isn't available here.
+ * Endpoints are marked down per model, so a model missing on one endpoint doesn't affect others.
+ */
+function isEndpointFailure(status, errorText) {
+  if (status >= 500 || status === 404) return true;
+  if (status === 400 && /model[^"]*not (found|supported)/i.test(errorText || '')) return true;
+  return false;
+}
 
 // --- Transformation Logic ---
 
@@ -448,6 +934,161 @@ function cleanJSONSchema(schema) {
   return cleaned;
 }
 
+// --- Signature Origin Tags ---
+// Signatures returned to the client are tagged with their origin model; tagSignature, resolveSignature
+// and the Gemini 3 bypass signature live in lib/google-common.js, shared with gemini-cli.js.
+
+/**
+ * Untag the thinking signatures in assistant messages, dropping thinking blocks whose signature
+ * came from a model that can't validate it. Gemini 3 function calls left without one get the
+ * bypass signature later, in attachGeminiThoughtSignatures.
+ */
+function sanitizeThinkingSignatures(messages, model) {
+  let dropped = 0;
+  const sanitized = messages.map(msg => {
+    if (msg.role !== 'assistant') return msg;
+    const result = { ...msg };
+
+    if (msg.thinking?.signature) {
+      const signature = resolveSignature(msg.thinking.signature, model);
+      if (signature) {
+        result.thinking = { ...msg.thinking, signature };
+      } else {
+        delete result.thinking;
+        dropped++;
+      }
+    }
+
+    if (Array.isArray(msg.content)) {
+      result.content = msg.content.flatMap(c => {
+        if ((c.type !== 'thinking' && c.type !== 'redacted_thinking') || !c.signature) return [c];
+        const signature = resolveSignature(c.signature, model);
+        if (signature) return [{ ...c, signature }];
+        dropped++;
+        return [];
+      });
+    }
+    return result;
+  });
+
+  if (dropped > 0) {
+    log('info', `Dropped ${dropped} thinking block(s) signed by another model`, { model });
+  }
+  return sanitized;
+}
+
+function isGemini3Pro(model) {
+  return /gemini-3(\.\d+)?-pro/.test(model);
+}
+
+/**
+ * Map a model tier suffix or reasoning.effort to a Gemini 3 thinkingLevel.
+ * Gemini 3 Pro only supports low/high; Flash also supports minimal and medium.
+ */
+function getGeminiThinkingLevel(model, tier, effort) {
+  const level = tier || (effort && effort !== 'none' ? effort : null);
+  if (!level) return null;
+  if (isGemini3Pro(model)) {
+    return level === 'minimal' || level === 'low' ? 'low' : 'high';
+  }
+  return ['minimal', 'low', 'medium', 'high'].includes(level) ? level : 'high';
+}
+
+/**
+ * Move thought signatures in model turns onto the first functionCall part, the way Gemini returns
+ * and expects them, and drop the replayed thought text. Gemini 3 rejects function calls without a
+ * signature, so calls with none (e.g. from another model) get the bypass signature.
+ */
+function attachGeminiThoughtSignatures(contents, model) {
+  for (const content of contents) {
+    if (content.role !== 'model' || !content.parts) continue;
+
+    const signature = content.parts.find(p => p.thoughtSignature)?.thoughtSignature;
+    // Empty text parts (from assistant turns with content "") are rejected alongside function calls
+    content.parts = content.parts.filter(p => p.thought !== true && p.text !== '');
+    content.parts.forEach(p => delete p.thoughtSignature);
+
+    const firstCall = content.parts.find(p => p.functionCall);
+    if (firstCall) {
+      if (signature) {
+        firstCall.thoughtSignature = signature;
+      } else if (model.includes('gemini-3')) {
+        firstCall.thoughtSignature = GEMINI_BYPASS_SIGNATURE;
+      }
+    } else if (signature && content.parts.length > 0) {
+      content.parts[0].thoughtSignature = signature;
+    }
+    if (content.parts.length === 0) {
+      content.parts.push({ text: '' });
+    }
+  }
+}
+
+// --- Tool Call Pairing ---
+// repairToolPairing and mergeConsecutiveTurns are shared with gemini-cli.js in lib/google-common.js,
+// as are the remote image helpers (fetchRemoteImages)
+
+/**
+ * Map tool call IDs to function names from assistant tool_calls and tool_use blocks
+ */
+function getToolNamesById(messages) {
+  const names = new Map();
+  for (const msg of messages) {
+    if (msg.role !== 'assistant') continue;
+    for (const tc of msg.tool_calls || []) {
+      if (tc.id) names.set(tc.id, tc.function?.name);
+    }
+    if (Array.isArray(msg.content)) {
+      for (const c of msg.content) {
+        if (c.type === 'tool_use' && c.id) names.set(c.id, c.name);
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Check for the web_search tool (OpenAI function or Anthropic server tool style)
+ */
+function isWebSearchTool(tool) {
+  const name = tool?.function?.name || tool?.name;
+  return name === 'web_search' || (typeof tool?.type === 'string' && tool.type.startsWith('web_search'));
+}
+
+function sanitizeToolName(name) {
+  return name.replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 64);
+}
+
+/**
+ * Map an OpenAI (or Anthropic) tool_choice to functionCallingConfig.
+ * "auto" keeps VALIDATED for Claude and the API default for Gemini; a named tool forces that function.
+ * Claude rejects forced tool use with extended thinking, so thinking Claude models get VALIDATED
+ * instead (limited to the named tool, if there is one).
+ */
+function getFunctionCallingConfig(toolChoice, isClaude, isThinking) {
+  const choice = typeof toolChoice === 'string' ? toolChoice : toolChoice?.type;
+  const forcedName = toolChoice?.function?.name || (choice === 'tool' ? toolChoice.name : null);
+
+  if (isClaude && isThinking && (forcedName || choice === 'required' || choice === 'any')) {
+    log('debug', 'Forced tool choice is not allowed with thinking, using VALIDATED', { toolChoice: forcedName || choice });
+    return forcedName
+      ? { mode: "VALIDATED", allowedFunctionNames: [sanitizeToolName(forcedName)] }
+      : { mode: "VALIDATED" };
+  }
+  if (forcedName) {
+    return { mode: "ANY", allowedFunctionNames: [sanitizeToolName(forcedName)] };
+  }
+  switch (choice) {
+    case 'none':
+      return { mode: "NONE" };
+    case 'required':
+    case 'any':
+      return { mode: "ANY" };
+    default:
+      return isClaude ? { mode: "VALIDATED" } : null;
+  }
+}
+
 function normalizeTools(tools, isClaude) {
   if (!tools || !Array.isArray(tools)) return undefined;
 
@@ -503,9 +1144,7 @@ function normalizeSingleTool(tool, isClaude) {
         }
     }
 
-    let name = tool.name || (tool.function && tool.function.name) || "unknown_tool";
-    // Sanitize name
-    name = name.replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 64);
+    const name = sanitizeToolName(tool.name || (tool.function && tool.function.name) || "unknown_tool");
 
     return {
         name: name,
@@ -514,6 +1153,100 @@ function normalizeSingleTool(tool, isClaude) {
     };
 }
 
+// --- Response Helpers ---
+
+/**
+ * Incremental SSE parser.
+ * push() takes decoded text as it arrives and returns the data payloads of every event completed so
+ * far; partial lines are carried over to the next call. Multi-line "data:" fields are joined with
+ * newlines per the SSE spec, and "[DONE]" markers are dropped. end() flushes whatever is left.
+ */
+function createSSEParser() {
+  let buffer = '';
+  let dataLines = [];
+
+  const dispatch = (events) => {
+    if (dataLines.length === 0) return;
+    const data = dataLines.join('\n');
+    dataLines = [];
+    if (data.trim() && data.trim() !== '[DONE]') events.push(data);
+  };
+
+  const processLine = (line, events) => {
+    if (line === '') {
+      dispatch(events);
+    } else if (line.startsWith('data:')) {
+      const value = line.slice(5);
+      dataLines.push(value.startsWith(' ') ? value.slice(1) : value);
+    }
+    // Comments (":") and other fields (event:, id:, retry:) are not used by the API
+  };
+
+  return {
+    push(text) {
+      const events = [];
+      buffer += text;
+      // A trailing "\r" may be the first half of "\r\n" - hold it back until the next chunk
+      const held = buffer.endsWith('\r') ? '\r' : '';
+      const lines = (held ? buffer.slice(0, -1) : buffer).split(/\r\n|\r|\n/);
+      buffer = lines.pop() + held;
+      for (const line of lines) processLine(line, events);
+      return events;
+    },
+    end(text = '') {
+      const events = this.push(text);
+      if (buffer) processLine(buffer.replace(/\r$/, ''), events);
+      buffer = '';
+      dispatch(events);
+      return events;
+    }
+  };
+}
+
+// --- Sampling Parameters ---
+// OpenAI sampling fields are mapped onto generationConfig and clamped per model by
+// applySamplingParams in lib/google-common.js; without max_tokens, 8192 is sent.
+
+// --- Safety Settings ---
+// config.safetySettings: a threshold for every category ("BLOCK_NONE", "OFF", ...), an explicit
+// [{ category, threshold }] list, or a map of model name -> either of those (with a "default" key).
+// resolveSafetySettings, getBlockedResult and mapFinishReason come from lib/google-common.js.
+
+/**
+ * Map usageMetadata to OpenAI usage, keeping the thinking token count
+ */
+function mapUsage(usageMetadata) {
+  return {
+    prompt_tokens: usageMetadata?.promptTokenCount || 0,
+    completion_tokens: usageMetadata?.candidatesTokenCount || 0,
+    total_tokens: usageMetadata?.totalTokenCount || 0,
+    cached_content_token_count: usageMetadata?.cachedContentTokenCount || null,
+    thoughts_token_count: usageMetadata?.thoughtsTokenCount,
+  };
+}
+
+/**
+ * Convert groundingMetadata into url_citation annotations (same format as gemini-cli.js)
+ */
+function buildUrlCitations(groundingMetadata) {
+  if (!groundingMetadata?.groundingChunks?.length) return null;
+  return groundingMetadata.groundingChunks.map((groundingChunk, index) => {
+    const support = groundingMetadata.groundingSupports?.filter(item =>
+      item.groundingChunkIndices?.includes(index)
+    );
+    return {
+      type: "url_citation",
+      url_citation: {
+        url: groundingChunk?.web?.uri || "",
+        title: groundingChunk?.web?.title || "",
+        content: support?.[0]?.segment?.text || "",
+        start_index: support?.[0]?.segment?.startIndex || 0,
+        end_index: support?.[0]?.segment?.endIndex || 0,
+      },
+    };
+  });
+}
+
 // --- Main Class ---
 
 class AntigravityTransformer {
@@ -521,7 +1254,8 @@ class AntigravityTransformer {
 
   constructor(config) {
     this.config = config || {};
-    this.lastSessionKey = null; // Track session key for signature caching
+    // Per-request state, keyed on the host's request object so concurrent requests never share it
+    this.requestStates = createRequestStateStore();
   }
 
   async getCredentials(modelName) {
@@ -535,12 +1269,24 @@ class AntigravityTransformer {
 
     // Get the active account for this model family
     const modelFamily = getModelFamily(modelName);
-    const account = getActiveAccount(accountsData, modelFamily);
+    let account = getActiveAccount(accountsData, modelFamily);
     if (!account) {
       console.error("\n[Antigravity] No active account found in accounts file.\n");
       throw new Error("No active Antigravity account. Run 'opencode auth login' to add an account.");
     }
 
+    // Skip past accounts that are still cooling down from a 429 (persisted across restarts)
+    let accountIndex = getActiveIndex(accountsData, modelFamily);
+    const availableIndex = selectAvailableAccountIndex(accountsData, modelFamily);
+    if (availableIndex !== -1 && availableIndex !== accountIndex) {
+      log('info', `Account ${accountIndex} is rate-limited for ${modelFamily}, switching to account ${availableIndex}`);
+      accountIndex = availableIndex;
+      accountsData.activeIndexByFamily = accountsData.activeIndexByFamily || {};
+      accountsData.activeIndexByFamily[modelFamily] = accountIndex;
+      await saveAccounts(accountsData);
+    }
+    account = accountsData.accounts[accountIndex];
+
     // Extract refresh token and project ID from account
     // The account format stores projectId and managedProjectId
     const refreshToken = account.refreshToken;
@@ -551,16 +1297,15 @@ class AntigravityTransformer {
       throw new Error("Antigravity account missing refresh token. Run 'opencode auth login' to re-authenticate.");
     }
 
-    // Get or refresh access token
-    // For now, we'll always refresh since we don't store access tokens
-    // In production, you'd cache the access token with its expiry
+    // Get a cached access token, refreshing it only once it has expired
     try {
-      const tokenData = await refreshAccessToken(refreshToken);
+      const tokenData = await getAccessToken(refreshToken, { shared: !!this.config.shareTokenCache });
       return {
         access_token: tokenData.access_token,
         expiry_date: tokenData.expiry_date,
         project_id: projectId || "rising-fact-p41fc", // fallback default
-        refresh_token: refreshToken
+        refresh_token: refreshToken,
+        account_index: accountIndex
       };
     } catch (e) {
       console.error("[Antigravity] Token refresh failed:", e.message);
@@ -568,8 +1313,21 @@ class AntigravityTransformer {
     }
   }
 
-  async transformRequestIn(request, provider) {
+  async transformRequestIn(request, provider, context) {
+    // Remember what we need to replay this request if the response has to be retried
+    const state = { id: crypto.randomBytes(4).toString('hex'), request, provider, replays: 0, failovers: 0, retries: 0, rotations: 0 };
+    if (!this.requestStates.set(context, state)) {
+      requestLog(state, 'warn', 'No context.req from the host; the response will not be retried or replayed');
+    }
+    return this.buildUpstreamRequest(state);
+  }
+
+  async buildUpstreamRequest(state) {
+    const { request } = state;
     const creds = await this.getCredentials(request.model);
+    state.accountIndex = creds.account_index;
+    state.refreshToken = creds.refresh_token;
+    state.modelFamily = getModelFamily(request.model);
 
     const isClaude = request.model.toLowerCase().includes('claude');
     const isGemini = request.model.toLowerCase().includes('gemini');
@@ -606,11 +1364,15 @@ class AntigravityTransformer {
 
     // Extract and strip thinking tier suffix (-low, -medium, -high) for thinking budget
     const tierMatch = body.model.match(/-(minimal|low|medium|high)$/);
-    const thinkingTier = tierMatch ? tierMatch[1] : null;
-    if (thinkingTier && body.model.includes('thinking')) {
-        // For Claude thinking models, strip the tier suffix
-        // e.g., claude-opus-4-5-thinking-low -> claude-opus-4-5-thinking
+    let thinkingTier = tierMatch ? tierMatch[1] : null;
+    if (thinkingTier && (body.model.includes('thinking') || !isGemini3Pro(body.model))) {
+        // For Claude thinking models and Gemini 3 Flash, strip the tier suffix
+        // e.g., claude-opus-4-5-thinking-low -> claude-opus-4-5-thinking, gemini-3-flash-low -> gemini-3-flash
         body.model = body.model.replace(/-(minimal|low|medium|high)$/, '');
+    } else if (isGemini3Pro(body.model) && !thinkingTier) {
+        // Gemini 3 Pro is only served as gemini-3-pro-low / gemini-3-pro-high
+        thinkingTier = getGeminiThinkingLevel(body.model, null, request.reasoning?.effort) || 'high';
+        body.model = `${body.model}-${thinkingTier}`;
     }
 
     // Map thinking tier to budget
@@ -699,7 +1461,7 @@ class AntigravityTransformer {
 
     // Debug log the incoming messages structure
     if (DEBUG) {
-       log('debug', 'Processing messages', {
+       requestLog(state, 'debug', 'Processing messages', {
           count: request.messages?.length || 0,
           roles: request.messages?.map(m => m.role) || [],
           contentTypes: request.messages?.map(m => {
@@ -710,15 +1472,25 @@ class AntigravityTransformer {
        });
     }
 
-    for (const msg of request.messages) {
+    // Pair every tool call with a result (and name) and drop other models' signatures before converting
+    const messages = sanitizeThinkingSignatures(
+      repairToolPairing(request.messages || [], (message, data) => requestLog(state, 'debug', message, data)),
+      body.model
+    );
+    const toolNamesById = getToolNamesById(messages);
+    const remoteImages = await fetchRemoteImages(messages, {
+       maxBytes: this.config.imageMaxBytes,
+       timeoutMs: this.config.imageFetchTimeoutMs,
+       onError: (url, e) => requestLog(state, 'error', `Failed to download image ${url}`, { error: e.message })
+    });
+
+    for (const msg of messages) {
        if (msg.role === 'tool') {
           // This is a function response
+          // Spec says: { "name": "get_weather", "response": { ... }, "id": "..." }
           const responsePart = {
              functionResponse: {
-                name: msg.name, // CCR might not pass name here directly, often in tool_call_id linkage. 
-                // We might need to look up name if not provided. 
-                // Assuming msg.name exists or we need to rely on tool_call_id.
-                // Spec says: { "name": "get_weather", "response": { ... }, "id": "..." }
+                name: msg.name || toolNamesById.get(msg.tool_call_id) || 'unknown',
                 response: { result: msg.content },
                 id: msg.tool_call_id
              }
@@ -766,14 +1538,14 @@ class AntigravityTransformer {
                       // Handle tool_result blocks (Anthropic format)
                       parts.push({
                          functionResponse: {
-                            name: c.name || 'unknown',
+                            name: c.name || toolNamesById.get(c.tool_use_id) || 'unknown',
                             response: { result: typeof c.content === 'string' ? c.content : JSON.stringify(c.content) },
                             id: c.tool_use_id
                          }
                       });
                    } else if (c.type === 'image_url' || c.type === 'image') {
                       // Handle images
-                      const imgUrl = c.image_url?.url || c.source?.data;
+                      const imgUrl = c.image_url?.url || c.source?.url || c.source?.data;
                       if (imgUrl?.startsWith('data:')) {
                          const [mime, data] = imgUrl.split(';base64,');
                          parts.push({
@@ -782,6 +1554,12 @@ class AntigravityTransformer {
                                data: data
                             }
                          });
+                      } else if (isRemoteImageUrl(imgUrl)) {
+                         // Downloaded up front by fetchRemoteImages; fall back to a placeholder if that failed
+                         const image = remoteImages.get(imgUrl);
+                         parts.push(image
+                            ? { inlineData: { mime_type: image.mimeType, data: image.data } }
+                            : { text: `[Image: ${imgUrl}]` });
                       }
                    }
                });
@@ -822,11 +1600,12 @@ class AntigravityTransformer {
            }
        }
     }
+    mergeConsecutiveTurns(finalContents);
     
-    // Generate session key for signature caching
-    const sessionKey = `${creds.project_id}:${body.model}`;
-    this.lastSessionKey = sessionKey; // Store for use in transformResponseOut
-    log('debug', 'Processing request', { model: body.model, sessionKey, messageCount: finalContents.length });
+    // Generate session key for signature caching, scoped to this conversation
+    const sessionKey = `${getConversationFingerprint(request.messages)}:${body.model}`;
+    state.sessionKey = sessionKey; // Store for use in transformResponseOut
+    requestLog(state, 'debug', 'Processing request', { model: body.model, sessionKey, messageCount: finalContents.length });
 
     // For Claude thinking models with tool use, inject thinking blocks
     if (isClaude && isThinking) {
@@ -838,7 +1617,7 @@ class AntigravityTransformer {
        );
 
        if (hasToolCalls && cachedSig) {
-          log('debug', 'Injecting thinking blocks for tool calls', { hasSignature: !!cachedSig.signature });
+          requestLog(state, 'debug', 'Injecting thinking blocks for tool calls', { hasSignature: !!cachedSig.signature });
 
           // Inject thinking block at the start of each model message that has tool calls
           finalContents.forEach(content => {
@@ -850,10 +1629,10 @@ class AntigravityTransformer {
                    // Insert thinking block at the beginning
                    content.parts.unshift({
                       thought: true,
-                      text: cachedSig.text || "(thinking)",
+                      text: "(thinking)",
                       thoughtSignature: cachedSig.signature
                    });
-                   log('debug', 'Injected thinking block into model message');
+                   requestLog(state, 'debug', 'Injected thinking block into model message');
                 }
              }
           });
@@ -863,7 +1642,7 @@ class AntigravityTransformer {
        finalContents.forEach(content => {
           if (content.role === 'model' && content.parts) {
              // Check if original message had thinking
-             const originalMsg = request.messages?.find(m =>
+             const originalMsg = messages.find(m =>
                 m.role === 'assistant' && m.thinking?.signature
              );
              if (originalMsg?.thinking) {
@@ -875,13 +1654,18 @@ class AntigravityTransformer {
                       thoughtSignature: originalMsg.thinking.signature
                    });
                    // Also cache this signature for future use
-                   cacheSignature(sessionKey, originalMsg.thinking.content, originalMsg.thinking.signature);
+                   cacheSignature(sessionKey, originalMsg.thinking.signature);
                 }
              }
           }
        });
     }
 
+    // Gemini expects thought signatures on function calls rather than on separate thought parts
+    if (isGemini) {
+       attachGeminiThoughtSignatures(finalContents, body.model);
+    }
+
     body.request.contents = finalContents;
 
     // 3. System Instructions
@@ -890,15 +1674,34 @@ class AntigravityTransformer {
     }
     
     // 4. Tools
-    if (request.tools && request.tools.length > 0) {
-       body.request.tools = normalizeTools(request.tools, isClaude);
+    // web_search is served by Google Search grounding instead of a function declaration
+    const functionTools = (request.tools || []).filter(tool => !isWebSearchTool(tool));
+    const hasWebSearch = functionTools.length < (request.tools || []).length;
+    if (functionTools.length > 0) {
+       body.request.tools = normalizeTools(functionTools, isClaude);
+    }
+    if (hasWebSearch) {
+       body.request.tools.push({ googleSearch: {} });
     }
 
     // 5. Generation Config & Thinking
-    const genConfig = {
-       maxOutputTokens: request.max_tokens || 8192,
-       temperature: request.temperature,
-    };
+    const genConfig = {};
+    applySamplingParams(genConfig, request, { model: body.model, isThinking, defaultMaxOutputTokens: 8192 });
+
+    if (isGemini) {
+       const safetySettings = resolveSafetySettings(this.config.safetySettings, [request.model, body.model]);
+       if (safetySettings) body.request.safetySettings = safetySettings;
+    }
+    applyResponseFormat(genConfig, request.response_format, schema => ({ responseSchema: cleanJSONSchema(schema) }));
+
+    // Gemini 3 always thinks; the tier (or reasoning.effort) picks the thinking level
+    if (isGemini && body.model.includes('gemini-3')) {
+       const thinkingLevel = getGeminiThinkingLevel(body.model, thinkingTier, request.reasoning?.effort);
+       genConfig.thinkingConfig = {
+           includeThoughts: true,
+           ...(thinkingLevel && { thinkingLevel })
+       };
+    }
 
     if (isThinking) {
        // Append hint for Claude
@@ -923,37 +1726,36 @@ class AntigravityTransformer {
            if (genConfig.maxOutputTokens <= budget) {
                genConfig.maxOutputTokens = Math.max(64000, budget + 2000);
            }
-       } else if (isGemini) {
-           // Gemini 3 vs 2.5 check
-           if (body.model.includes('gemini-3')) {
-               genConfig.thinkingConfig = {
-                   includeThoughts: true,
-                   thinkingLevel: "HIGH" // Default to HIGH or infer from budget?
-               };
-           } else {
-               genConfig.thinkingConfig = {
-                   includeThoughts: true,
-                   thinkingBudget: budget
-               };
-           }
+       } else if (isGemini && !body.model.includes('gemini-3')) {
+           // Gemini 2.5 uses a token budget (Gemini 3 is handled above)
+           genConfig.thinkingConfig = {
+               includeThoughts: true,
+               thinkingBudget: budget
+           };
        }
     }
     
-    // Claude Validated Mode
-    if (isClaude && request.tools && request.tools.length > 0) {
-       // Inject into body at root or generation config?
+    // Tool choice (Claude defaults to Validated Mode for "auto")
+    if (functionTools.length > 0) {
        // Antigravity spec says `toolConfig` at root of request object inside `request`
-       if (!body.request.toolConfig) body.request.toolConfig = {};
-       body.request.toolConfig.functionCallingConfig = { mode: "VALIDATED" };
+       const functionCallingConfig = getFunctionCallingConfig(request.tool_choice, isClaude, isThinking);
+       if (functionCallingConfig) {
+          if (!body.request.toolConfig) body.request.toolConfig = {};
+          body.request.toolConfig.functionCallingConfig = functionCallingConfig;
+       }
     }
 
     body.request.generationConfig = genConfig;
 
     // 6. Return CCR structure
+    const endpoint = selectEndpoint(body.model, creds.access_token);
+    state.endpoint = endpoint;
+    state.upstreamModel = body.model;
+
     return {
        body: body,
        config: {
-           url: new URL(`${ENDPOINTS[0]}/v1internal:${request.stream ? 'streamGenerateContent?alt=sse' : 'generateContent'}`),
+           url: new URL(`${endpoint}/v1internal:${request.stream ? 'streamGenerateContent?alt=sse' : 'generateContent'}`),
            headers: {
                Authorization: `Bearer ${creds.access_token}`,
                ...ANTIGRAVITY_HEADERS
@@ -962,11 +1764,145 @@ class AntigravityTransformer {
     };
   }
 
-  async transformResponseOut(response) {
+  async transformResponseOut(response, context) {
+     // The correlation ID goes back to the client as the x-ccr-request-id header
+     const state = this.requestStates.get(context);
+     return withRequestId(await this.handleResponse(response, state), state?.id);
+  }
+
+  /**
+   * Re-run a request through buildUpstreamRequest and send it ourselves.
+   * Used after switching accounts so the replay picks up the new credentials.
+   */
+  async replayRequest(state) {
+     state.replays++;
+     const transformed = await this.buildUpstreamRequest(state);
+     let response;
+     try {
+        response = await fetch(transformed.config.url, {
+           method: 'POST',
+           headers: { 'Content-Type': 'application/json', ...transformed.config.headers },
+           body: JSON.stringify(transformed.body)
+        });
+     } catch (e) {
+        // Network error - fail over to the next endpoint if there is one left
+        markEndpointDown(state.endpoint, state.upstreamModel, e.message);
+        if (state.failovers < ENDPOINTS.length - 1) {
+           state.failovers++;
+           return this.replayRequest(state);
+        }
+        throw e;
+     }
+     requestLog(state, 'debug', 'Replayed request', { status: response.status, replays: state.replays, endpoint: state.endpoint });
+     return this.handleResponse(response, state);
+  }
+
+  /**
+   * Handle a server error or "model not found" by marking the endpoint down for this model
+   * and replaying the request against the next endpoint.
+   */
+  async failoverEndpoint(response, state) {
+     const errorText = await response.text();
+     markEndpointDown(state.endpoint, state.upstreamModel, `${response.status}`);
+
+     if (state.failovers >= ENDPOINTS.length - 1) {
+        requestLog(state, 'error', `All endpoints failed for ${state.upstreamModel}`, { status: response.status });
+        return new Response(errorText, {
+           status: response.status,
+           statusText: response.statusText,
+           headers: response.headers,
+        });
+     }
+
+     state.failovers++;
+     return this.replayRequest(state);
+  }
+
+  /**
+   * Handle a 429 by putting the current account on cooldown for the model family
+   * and replaying the request on the next healthy account.
+   * `failure` is classifyFailure's verdict on the 429; a used-up quota cools down until it resets.
+   * Returns the original error if there is no other account to try.
+   */
+  async rotateAccountOnRateLimit(response, state, failure) {
+     const errorText = await response.text();
+     const passThrough = () => new Response(errorText, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+     });
+
+     const accountsData = loadAntigravityAccounts();
+     if (!state || !accountsData || state.accountIndex === undefined) return passThrough();
+
+     const { modelFamily, accountIndex } = state;
+     const cooldown = failure?.quotaExhausted && failure.delayMs
+        ? failure.delayMs
+        : this.config.rateLimitCooldownMs || DEFAULT_RATE_LIMIT_COOLDOWN_MS;
+     markAccountRateLimited(accountsData, accountIndex, modelFamily, Date.now() + cooldown);
+
+     const nextIndex = selectAvailableAccountIndex(accountsData, modelFamily);
+     if (nextIndex !== -1) {
+        accountsData.activeIndexByFamily = accountsData.activeIndexByFamily || {};
+        accountsData.activeIndexByFamily[modelFamily] = nextIndex;
+     }
+     await saveAccounts(accountsData);
+
+     const email = accountsData.accounts[accountIndex]?.email || accountIndex;
+     if (nextIndex === -1 || state.rotations >= accountsData.accounts.length) {
+        requestLog(state, 'error', `All accounts are rate-limited for ${modelFamily}`, { account: email, cooldownMs: cooldown });
+        return passThrough();
+     }
+
+     requestLog(state, 'info', `Account ${email} rate-limited for ${modelFamily}, retrying with account ${accountsData.accounts[nextIndex]?.email || nextIndex}`, { cooldownMs: cooldown });
+     state.rotations++;
+     return this.replayRequest(state);
+  }
+
+  async handleResponse(response, state) {
+     // Endpoint-level failures go to the next endpoint first; backing off on the same endpoint
+     // (below) is for when there is no other endpoint left to try
+     const endpointFailure = !!state?.endpoint &&
+        isEndpointFailure(response.status, response.status === 400 ? await response.clone().text() : '');
+     if (endpointFailure && state.failovers < ENDPOINTS.length - 1) {
+        return this.failoverEndpoint(response, state);
+     }
+
+     // Transient errors and short rate limits: back off and retry on the same account and endpoint
+     let failure = null;
+     if (state && (response.status === 429 || TRANSIENT_STATUSES.includes(response.status))) {
+        const policy = { ...RETRY_DEFAULTS, ...this.config.retry };
+        failure = classifyFailure(response.status, response.headers, await response.clone().text(), state.retries, policy);
+        if (failure.retry) {
+           state.retries++;
+           requestLog(state, 'info', `Upstream returned ${response.status}, retrying in ${Math.round(failure.delayMs)}ms`, { retry: state.retries, model: state.upstreamModel });
+           await new Promise(resolve => setTimeout(resolve, failure.delayMs));
+           return this.replayRequest(state);
+        }
+     }
+
+     if (response.status === 429) {
+        return this.rotateAccountOnRateLimit(response, state, failure);
+     }
+
+     if (endpointFailure) {
+        return this.failoverEndpoint(response, state);
+     }
+     if (response.ok && state?.endpoint) {
+        markEndpointGood(state.endpoint, state.upstreamModel);
+     }
+
+     // A cached token can be revoked before it expires - drop it and retry once with a fresh one
+     if (response.status === 401 && state?.refreshToken && state.replays === 0) {
+        requestLog(state, 'info', 'Access token rejected, refreshing and retrying');
+        invalidateAccessToken(state.refreshToken);
+        return this.replayRequest(state);
+     }
+
      // Check if streaming
      const contentType = response.headers.get('content-type') || '';
      if (contentType.includes('text/event-stream')) {
-        return this.handleStream(response);
+        return this.handleStream(response, state);
      }
 
      // Handle JSON
@@ -977,6 +1913,29 @@ class AntigravityTransformer {
      // OpenAI: { choices: [ ... ] }
 
      const candidate = data.response?.candidates?.[0];
+     const blocked = getBlockedResult(data.response);
+     if (blocked) {
+        requestLog(state, 'info', 'Gemini blocked the request', { reason: blocked.reason, category: blocked.category });
+     }
+     if (!candidate && blocked) {
+        // The prompt itself was blocked, so there is no candidate to convert
+        return new Response(JSON.stringify({
+           id: data.response?.responseId || `resp_${Date.now()}`,
+           choices: [{
+              message: { role: "assistant", content: blocked.message },
+              finish_reason: 'content_filter',
+              index: 0,
+           }],
+           created: Math.floor(Date.now() / 1000),
+           model: data.response?.modelVersion || "unknown",
+           object: "chat.completion",
+           usage: mapUsage(data.response?.usageMetadata)
+        }), {
+           status: response.status,
+           statusText: response.statusText,
+           headers: response.headers,
+        });
+     }
      if (!candidate) {
         return new Response(JSON.stringify({ error: "No candidates returned" }), {
            status: response.status,
@@ -1007,35 +1966,41 @@ class AntigravityTransformer {
            thinkingSignature = p.thoughtSignature;
         }
         if (p.functionCall) {
-           message.tool_calls.push({
-              id: p.functionCall.id || `call_${Math.random().toString(36).substr(2,9)}`,
-              type: 'function',
-              function: {
-                 name: p.functionCall.name,
-                 arguments: JSON.stringify(p.functionCall.args)
-              }
-           });
+           message.tool_calls.push(functionCallToToolCall(p.functionCall));
         }
      });
 
-     if (textContent) message.content = textContent;
      if (message.tool_calls.length === 0) delete message.tool_calls;
+     const responseFormat = state?.request?.response_format;
+     const answer = finishAnswerText(textContent, responseFormat, { hasToolCalls: !!message.tool_calls, blocked, finishReason: candidate.finishReason });
+     if (answer.error) {
+        requestLog(state, 'error', answer.error, { content: textContent });
+        return new Response(JSON.stringify(invalidResponseFormatError(answer.error)), {
+           status: 502,
+           headers: { 'Content-Type': 'application/json' },
+        });
+     }
+     message.content = answer.content || null;
+
+     // Google Search grounding citations
+     const annotations = buildUrlCitations(candidate.groundingMetadata);
+     if (annotations) message.annotations = annotations;
 
      // Add thinking block if present
      if (thinkingSignature) {
         message.thinking = {
            content: thinkingContent || "(no content)",
-           signature: thinkingSignature,
+           signature: tagSignature(thinkingSignature, state?.upstreamModel || data.response?.modelVersion),
         };
 
         // Cache the signature for future multi-turn requests
-        if (this.lastSessionKey) {
-           cacheSignature(this.lastSessionKey, thinkingContent || "(no content)", thinkingSignature);
-           log('debug', 'Cached thinking signature from response', { sessionKey: this.lastSessionKey });
+        if (state?.sessionKey) {
+           cacheSignature(state.sessionKey, thinkingSignature);
+           requestLog(state, 'debug', 'Cached thinking signature from response', { sessionKey: state.sessionKey });
         }
      }
 
-     log('debug', 'Response processed', {
+     requestLog(state, 'debug', 'Response processed', {
         hasThinking: !!thinkingSignature,
         hasToolCalls: message.tool_calls?.length > 0,
         contentLength: textContent?.length || 0
@@ -1045,22 +2010,20 @@ class AntigravityTransformer {
         id: data.response?.responseId || `resp_${Date.now()}`,
         choices: [{
            message,
-           finish_reason: candidate.finishReason === "STOP" ? "stop" :
-                         candidate.finishReason === "MAX_TOKENS" ? "length" :
-                         (candidate.finishReason?.toLowerCase() || "stop"),
+           finish_reason: mapFinishReason(candidate.finishReason || 'STOP', !!message.tool_calls),
            index: 0,
         }],
         created: Math.floor(Date.now() / 1000),
         model: data.response?.modelVersion || "unknown",
         object: "chat.completion",
-        usage: {
-           prompt_tokens: data.response?.usageMetadata?.promptTokenCount || 0,
-           completion_tokens: data.response?.usageMetadata?.candidatesTokenCount || 0,
-           total_tokens: data.response?.usageMetadata?.totalTokenCount || 0,
-           thoughts_token_count: data.response?.usageMetadata?.thoughtsTokenCount,
-        }
+        usage: mapUsage(data.response?.usageMetadata)
      };
 
+     // Extra candidates (n > 1) come back as additional choices
+     data.response.candidates.slice(1).forEach((extra, i) => {
+        result.choices.push(candidateToChoice(extra, i + 1));
+     });
+
      return new Response(JSON.stringify(result), {
         status: response.status,
         statusText: response.statusText,
@@ -1068,94 +2031,141 @@ class AntigravityTransformer {
      });
   }
   
-  handleStream(response) {
+  handleStream(response, state) {
       // Need to return a response that is an SSE stream converted to OpenAI format
       const encoder = new TextEncoder();
       const decoder = new TextDecoder();
-      const sessionKey = this.lastSessionKey;
-      let accumulatedThinking = '';
+      const sessionKey = state?.sessionKey;
       let lastSignature = null;
+      let sentSignature = null;
+      let toolCallIndex = 0;
+      let finishReason = null;
+      let usageMetadata = null;
+      let responseId = `resp_${Date.now()}`;
+      let modelVersion = state?.upstreamModel || 'unknown';
+      let blocked = null;
+      let textSent = false;
+      // JSON mode: text is held back and checked once the whole answer is in
+      const responseFormat = state?.request?.response_format;
+      const jsonMode = isJsonResponseFormat(responseFormat);
+      let jsonText = '';
+
+      const chunkOf = (delta, finish_reason = null, usage = undefined) => `data: ${JSON.stringify({
+          id: responseId,
+          object: 'chat.completion.chunk',
+          created: Math.floor(Date.now() / 1000),
+          model: modelVersion,
+          choices: [{ index: 0, delta, finish_reason }],
+          ...(usage && { usage })
+      })}\n\n`;
+
+      // Convert one upstream SSE event (the joined data lines) into OpenAI chunks
+      const handleEvent = (data, controller) => {
+          try {
+              const json = JSON.parse(data);
+              if (json.response?.responseId) responseId = json.response.responseId;
+              if (json.response?.modelVersion) modelVersion = json.response.modelVersion;
+              if (json.response?.usageMetadata) usageMetadata = json.response.usageMetadata;
+
+              const blockedResult = getBlockedResult(json.response);
+              if (blockedResult) {
+                  blocked = blockedResult;
+                  finishReason = blockedResult.reason;
+                  requestLog(state, 'info', 'Gemini blocked the request', { reason: blocked.reason, category: blocked.category });
+              }
 
-      const transformStream = new TransformStream({
-          async transform(chunk, controller) {
-              const text = decoder.decode(chunk);
-              const lines = text.split('\n');
-              for (const line of lines) {
-                  if (line.startsWith('data: ')) {
-                      try {
-                          const json = JSON.parse(line.slice(6));
-                          const candidate = json.response?.candidates?.[0];
-                          if (!candidate) continue;
-
-                          // Handle content parts
-                          if (candidate.content?.parts) {
-                              for (const part of candidate.content.parts) {
-                                  // Cache signature when we see it
-                                  if (part.thoughtSignature) {
-                                      lastSignature = part.thoughtSignature;
-                                      log('debug', 'Found signature in stream chunk');
-                                  }
-
-                                  if (part.text && part.thought === true) {
-                                      // Thinking content - accumulate and send as thinking delta
-                                      accumulatedThinking += part.text;
-                                      controller.enqueue(encoder.encode(`data: ${JSON.stringify({
-                                          choices: [{
-                                              index: 0,
-                                              delta: {
-                                                  role: "assistant",
-                                                  thinking: { content: part.text }
-                                              }
-                                          }]
-                                      })}\n\n`));
-                                  } else if (part.text) {
-                                      // Regular text content
-                                      controller.enqueue(encoder.encode(`data: ${JSON.stringify({
-                                          choices: [{
-                                              index: 0,
-                                              delta: { role: "assistant", content: part.text }
-                                          }]
-                                      })}\n\n`));
-                                  }
-
-                                  if (part.functionCall) {
-                                      const toolCall = {
-                                          index: 0,
-                                          id: part.functionCall.id || `call_${Math.random().toString(36).substr(2,9)}`,
-                                          type: 'function',
-                                          function: {
-                                              name: part.functionCall.name,
-                                              arguments: JSON.stringify(part.functionCall.args || {})
-                                          }
-                                      };
-                                      controller.enqueue(encoder.encode(`data: ${JSON.stringify({
-                                          choices: [{ index: 0, delta: { tool_calls: [toolCall] } }]
-                                      })}\n\n`));
-                                  }
-                              }
+              const candidate = json.response?.candidates?.[0];
+              if (!candidate) return;
+              if (candidate.finishReason) finishReason = candidate.finishReason;
+
+              // Handle content parts
+              if (candidate.content?.parts) {
+                  for (const part of candidate.content.parts) {
+                      if (part.text && part.thought === true) {
+                          // Thinking content - send as thinking delta
+                          controller.enqueue(encoder.encode(chunkOf({
+                              role: "assistant",
+                              thinking: { content: part.text }
+                          })));
+                      }
+
+                      // Send the signature as soon as it shows up so the thinking block is
+                      // closed before any text or tool call that follows it
+                      if (part.thoughtSignature) {
+                          lastSignature = part.thoughtSignature;
+                          requestLog(state, 'debug', 'Found signature in stream chunk');
+                          if (sentSignature !== lastSignature) {
+                              sentSignature = lastSignature;
+                              controller.enqueue(encoder.encode(chunkOf({
+                                  thinking: { signature: tagSignature(lastSignature, state?.upstreamModel || modelVersion) }
+                              })));
                           }
-                      } catch (e) {
-                          log('debug', 'Stream parse error', { error: e.message });
+                      }
+
+                      if (part.text && part.thought !== true) {
+                          // Regular text content
+                          if (jsonMode) {
+                              jsonText += part.text;
+                          } else {
+                              textSent = true;
+                              controller.enqueue(encoder.encode(chunkOf({ role: "assistant", content: part.text })));
+                          }
+                      }
+
+                      if (part.functionCall) {
+                          const toolCall = { index: toolCallIndex++, ...functionCallToToolCall(part.functionCall) };
+                          controller.enqueue(encoder.encode(chunkOf({ tool_calls: [toolCall] })));
                       }
                   }
               }
+
+              const annotations = buildUrlCitations(candidate.groundingMetadata);
+              if (annotations) {
+                  controller.enqueue(encoder.encode(chunkOf({ annotations })));
+              }
+          } catch (e) {
+              requestLog(state, 'debug', 'Stream parse error', { error: e.message, length: data.length });
+          }
+      };
+
+      const parser = createSSEParser();
+      const transformStream = new TransformStream({
+          async transform(chunk, controller) {
+              // stream: true keeps multi-byte UTF-8 sequences split across chunks intact
+              for (const data of parser.push(decoder.decode(chunk, { stream: true }))) {
+                  handleEvent(data, controller);
+              }
           },
           flush(controller) {
+              for (const data of parser.end(decoder.decode())) {
+                  handleEvent(data, controller);
+              }
+
               // At end of stream, cache the signature if we found one
               if (lastSignature && sessionKey) {
-                  cacheSignature(sessionKey, accumulatedThinking || "(no content)", lastSignature);
-                  log('debug', 'Cached signature from stream', { sessionKey });
-
-                  // Also send the signature in the final thinking chunk
-                  controller.enqueue(encoder.encode(`data: ${JSON.stringify({
-                      choices: [{
-                          index: 0,
-                          delta: {
-                              thinking: { signature: lastSignature }
-                          }
-                      }]
-                  })}\n\n`));
+                  cacheSignature(sessionKey, lastSignature);
+                  requestLog(state, 'debug', 'Cached signature from stream', { sessionKey });
+              }
+
+              if (jsonMode || blocked) {
+                  const answer = finishAnswerText(jsonText, responseFormat, { hasToolCalls: toolCallIndex > 0, blocked, finishReason, textSent });
+                  if (answer.error) {
+                      requestLog(state, 'error', answer.error, { content: jsonText });
+                      controller.enqueue(encoder.encode(`data: ${JSON.stringify(invalidResponseFormatError(answer.error))}\n\n`));
+                      controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                      return;
+                  }
+                  if (answer.content) {
+                      controller.enqueue(encoder.encode(chunkOf({ role: "assistant", content: answer.content })));
+                  }
               }
+
+              // Final chunk: mapped finish reason plus token usage
+              controller.enqueue(encoder.encode(chunkOf(
+                  {},
+                  mapFinishReason(finishReason || 'STOP', toolCallIndex > 0),
+                  usageMetadata ? mapUsage(usageMetadata) : undefined
+              )));
               controller.enqueue(encoder.encode('data: [DONE]\n\n'));
           }
       });
@@ -1166,36 +2176,269 @@ class AntigravityTransformer {
   }
 }
 
+// --- Account Management (CLI) ---
+
+const MODEL_FAMILIES = ['claude', 'gemini'];
+
+/**
+ * Load the accounts file or exit with a hint if there isn't one
+ */
+function requireAccounts() {
+  const accountsData = loadAntigravityAccounts();
+  if (!accountsData || !accountsData.accounts?.length) {
+    throw new Error("No accounts found. Run 'node plugins/antigravity.js login' to add an account.");
+  }
+  return accountsData;
+}
+
+/**
+ * Resolve an account reference (index, email or label) to its index in the accounts list
+ */
+function resolveAccountIndex(accountsData, ref) {
+  if (ref === undefined || ref === null || ref === '') {
+    throw new Error('Missing account (index, email or label)');
+  }
+  if (/^\d+$/.test(String(ref))) {
+    const index = parseInt(ref, 10);
+    if (!accountsData.accounts[index]) throw new Error(`No account at index ${index}`);
+    return index;
+  }
+  const lower = String(ref).toLowerCase();
+  const index = accountsData.accounts.findIndex(acc =>
+    acc.email?.toLowerCase() === lower || acc.label?.toLowerCase() === lower
+  );
+  if (index === -1) throw new Error(`No account matching '${ref}'`);
+  return index;
+}
+
+function describeAccount(account, index) {
+  const label = account.label ? ` (${account.label})` : '';
+  return `${index}. ${account.email || 'unknown'}${label}`;
+}
+
+function printStatus(accountsData) {
+  const now = Date.now();
+  console.log(`Accounts file: ${ANTIGRAVITY_ACCOUNTS_FILE}`);
+  console.log(`Total accounts: ${accountsData.accounts.length}`);
+  console.log("\nAccounts:");
+  accountsData.accounts.forEach((acc, i) => {
+    const markers = MODEL_FAMILIES
+      .filter(family => getActiveIndex(accountsData, family) === i)
+      .map(family => ` [ACTIVE:${family}]`)
+      .join('');
+    console.log(`  ${describeAccount(acc, i)}${markers}`);
+    console.log(`     Project: ${acc.managedProjectId || acc.projectId || 'unknown'}`);
+    for (const family of MODEL_FAMILIES) {
+      if (isAccountRateLimited(acc, family, now)) {
+        const resetAt = new Date(acc.rateLimitResetTimes[family]);
+        console.log(`     Rate-limited (${family}) until ${resetAt.toLocaleString()}`);
+      }
+    }
+  });
+}
+
+async function switchAccount(ref, family) {
+  if (family && !MODEL_FAMILIES.includes(family)) {
+    throw new Error(`Unknown model family '${family}' (expected ${MODEL_FAMILIES.join(' or ')})`);
+  }
+  const accountsData = requireAccounts();
+  const index = resolveAccountIndex(accountsData, ref);
+  const families = family ? [family] : MODEL_FAMILIES;
+
+  accountsData.activeIndexByFamily = accountsData.activeIndexByFamily || {};
+  for (const f of families) {
+    accountsData.activeIndexByFamily[f] = index;
+  }
+  if (!family) accountsData.activeIndex = index;
+  await saveAccounts(accountsData);
+  console.log(`Active account for ${families.join(' and ')}: ${describeAccount(accountsData.accounts[index], index)}`);
+}
+
+async function removeAccount(ref) {
+  const accountsData = requireAccounts();
+  const index = resolveAccountIndex(accountsData, ref);
+  const [removed] = accountsData.accounts.splice(index, 1);
+
+  // Keep the active indices pointing at the same accounts after the splice
+  const shift = (i) => {
+    if (typeof i !== 'number') return i;
+    if (i === index) return 0;
+    return i > index ? i - 1 : i;
+  };
+  accountsData.activeIndex = shift(accountsData.activeIndex);
+  accountsData.activeIndexByFamily = accountsData.activeIndexByFamily || {};
+  for (const family of MODEL_FAMILIES) {
+    accountsData.activeIndexByFamily[family] = shift(accountsData.activeIndexByFamily[family]);
+  }
+
+  await saveAccounts(accountsData);
+  console.log(`Removed ${removed.email || 'unknown'}. ${accountsData.accounts.length} account(s) left.`);
+}
+
+async function labelAccount(ref, label) {
+  const accountsData = requireAccounts();
+  const index = resolveAccountIndex(accountsData, ref);
+  if (label) {
+    accountsData.accounts[index].label = label;
+  } else {
+    delete accountsData.accounts[index].label;
+  }
+  await saveAccounts(accountsData);
+  console.log(`Updated ${describeAccount(accountsData.accounts[index], index)}`);
+}
+
+/**
+ * Verify every refresh token and report the accounts that can no longer get an access token
+ */
+async function refreshAccounts() {
+  const accountsData = requireAccounts();
+  let dead = 0;
+  for (const [i, acc] of accountsData.accounts.entries()) {
+    try {
+      if (!acc.refreshToken) throw new Error('no refresh token');
+      await refreshAccessToken(acc.refreshToken);
+      console.log(`  OK    ${describeAccount(acc, i)}`);
+    } catch (e) {
+      dead++;
+      console.log(`  DEAD  ${describeAccount(acc, i)} - ${e.message}`);
+    }
+  }
+  console.log(`\n${accountsData.accounts.length - dead} working, ${dead} dead`);
+  if (dead > 0) {
+    console.log("Remove dead accounts with 'remove <index|email>' and log in again.");
+  }
+  return dead;
+}
+
+/**
+ * Re-run fetchProjectID for one account (or all of them) and store the result
+ */
+async function reprojectAccounts(ref) {
+  const accountsData = requireAccounts();
+  const indices = ref !== undefined ? [resolveAccountIndex(accountsData, ref)] : accountsData.accounts.map((_, i) => i);
+
+  for (const i of indices) {
+    const acc = accountsData.accounts[i];
+    try {
+      const { access_token } = await refreshAccessToken(acc.refreshToken);
+      const projectId = await fetchProjectID(access_token);
+      const previous = acc.managedProjectId || acc.projectId;
+      acc.projectId = projectId;
+      acc.managedProjectId = projectId;
+      console.log(`  ${describeAccount(acc, i)}: ${previous === projectId ? projectId : `${previous || 'none'} -> ${projectId}`}`);
+    } catch (e) {
+      console.log(`  ${describeAccount(acc, i)}: failed - ${e.message}`);
+    }
+  }
+  await saveAccounts(accountsData);
+}
+
+/**
+ * Write accounts (including refresh tokens) to a file, or stdout if no file is given
+ */
+async function exportAccounts(file) {
+  const accountsData = requireAccounts();
+  const exported = JSON.stringify({
+    version: accountsData.version,
+    accounts: accountsData.accounts.map(({ rateLimitResetTimes, ...acc }) => acc)
+  }, null, 2);
+
+  if (!file || file === '-') {
+    process.stdout.write(exported + '\n');
+    return;
+  }
+  fs.writeFileSync(file, exported, { mode: 0o600 });
+  console.error(`Exported ${accountsData.accounts.length} account(s) to ${file}`);
+  console.error('This file contains refresh tokens - treat it like a password.');
+}
+
+/**
+ * Merge accounts from an export (file or stdin) into the accounts file.
+ * Accounts are matched by email; matching accounts get the imported refresh token and project.
+ */
+async function importAccounts(file) {
+  const raw = !file || file === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(file, 'utf8');
+  const parsed = JSON.parse(raw);
+  const incoming = Array.isArray(parsed) ? parsed : parsed.accounts;
+  if (!Array.isArray(incoming)) throw new Error('Import file has no accounts');
+
+  const accountsData = loadAntigravityAccounts() || {
+    version: 3,
+    accounts: [],
+    activeIndex: 0,
+    activeIndexByFamily: { claude: 0, gemini: 0 }
+  };
+
+  let added = 0, updated = 0;
+  for (const acc of incoming) {
+    if (!acc.refreshToken) continue;
+    const existing = accountsData.accounts.find(a =>
+      a.refreshToken === acc.refreshToken || (acc.email && acc.email !== 'unknown' && a.email === acc.email)
+    );
+    if (existing) {
+      Object.assign(existing, acc);
+      updated++;
+    } else {
+      accountsData.accounts.push({ ...acc, addedAt: acc.addedAt || Date.now() });
+      added++;
+    }
+  }
+
+  await saveAccounts(accountsData);
+  console.log(`Imported accounts: ${added} added, ${updated} updated.`);
+}
+
+function printUsage() {
+  console.log("Antigravity plugin for CCR");
+  console.log("");
+  console.log("Commands:");
+  console.log("  node plugins/antigravity.js login [--no-browser]                    - Add a new account via OAuth");
+  console.log("                                                                      (--no-browser: paste the redirect URL, for SSH/remote hosts)");
+  console.log("  node plugins/antigravity.js status                                  - Show current accounts");
+  console.log("  node plugins/antigravity.js switch <index|email> [--family claude|gemini]");
+  console.log("                                                                      - Make an account active (both families by default)");
+  console.log("  node plugins/antigravity.js remove <index|email>                    - Remove an account");
+  console.log("  node plugins/antigravity.js label <index|email> [label]             - Set or clear an account label (alias: rename)");
+  console.log("  node plugins/antigravity.js refresh                                 - Check every refresh token and report dead accounts");
+  console.log("  node plugins/antigravity.js reproject [index|email]                 - Re-fetch project IDs");
+  console.log("  node plugins/antigravity.js export [file]                           - Export accounts (stdout if no file)");
+  console.log("  node plugins/antigravity.js import [file]                           - Import accounts (stdin if no file)");
+  console.log("");
+  console.log("Accounts file: " + ANTIGRAVITY_ACCOUNTS_FILE);
+}
+
 // CLI Entry Point
 if (require.main === module) {
   const args = process.argv.slice(2);
+  const flag = (name) => {
+    const i = args.indexOf(name);
+    if (i === -1) return undefined;
+    const [, value] = args.splice(i, 2);
+    return value;
+  };
+  const family = flag('--family');
+  const [command, ...rest] = args;
+
+  const commands = {
+    login: () => performLogin({ noBrowser: rest.includes('--no-browser') }),
+    status: async () => printStatus(requireAccounts()),
+    switch: () => switchAccount(rest[0], family),
+    remove: () => removeAccount(rest[0]),
+    label: () => labelAccount(rest[0], rest.slice(1).join(' ')),
+    rename: () => labelAccount(rest[0], rest.slice(1).join(' ')),
+    refresh: async () => { if (await refreshAccounts() > 0) process.exitCode = 1; },
+    reproject: () => reprojectAccounts(rest[0]),
+    export: () => exportAccounts(rest[0]),
+    import: () => importAccounts(rest[0]),
+  };
 
-  if (args[0] === 'login') {
-    performLogin().catch(console.error);
-  } else if (args[0] === 'status') {
-    const accountsData = loadAntigravityAccounts();
-    if (!accountsData) {
-      console.log("No accounts found. Run 'node plugins/antigravity.js login' to add an account.");
-    } else {
-      console.log(`Accounts file: ${ANTIGRAVITY_ACCOUNTS_FILE}`);
-      console.log(`Total accounts: ${accountsData.accounts.length}`);
-      console.log(`Active index: ${accountsData.activeIndex}`);
-      console.log(`Active by family:`, accountsData.activeIndexByFamily);
-      console.log("\nAccounts:");
-      accountsData.accounts.forEach((acc, i) => {
-        const active = i === accountsData.activeIndex ? ' [ACTIVE]' : '';
-        console.log(`  ${i}. ${acc.email || 'unknown'}${active}`);
-        console.log(`     Project: ${acc.managedProjectId || acc.projectId || 'unknown'}`);
-      });
-    }
+  if (Object.hasOwn(commands, command)) {
+    commands[command]().catch((e) => {
+      console.error(e.message);
+      process.exitCode = 1;
+    });
   } else {
-    console.log("Antigravity plugin for CCR");
-    console.log("");
-    console.log("Commands:");
-    console.log("  node plugins/antigravity.js login    - Add a new account via OAuth");
-    console.log("  node plugins/antigravity.js status   - Show current accounts");
-    console.log("");
-    console.log("Accounts file: " + ANTIGRAVITY_ACCOUNTS_FILE);
+    printUsage();
   }
 }
 
@@ -1,9 +1,40 @@
 const os = require("os");
+const crypto = require("crypto");
 const path = require("path");
 const fs = require("fs/promises");
-const { execSync } = require("child_process");
+const fsSync = require("fs");
+const { exec } = require("child_process");
+const { promisify } = require("util");
+const {
+  RETRY_DEFAULTS,
+  TRANSIENT_STATUSES,
+  classifyFailure,
+  resolveSafetySettings,
+  getBlockedResult,
+  mapFinishReason,
+  applySamplingParams,
+  isJsonResponseFormat,
+  applyResponseFormat,
+  invalidResponseFormatError,
+  functionCallToToolCall,
+  candidateToChoice,
+  finishAnswerText,
+  repairToolPairing,
+  mergeConsecutiveTurns,
+  isRemoteImageUrl,
+  fetchRemoteImages,
+  withRequestId,
+  createRequestStateStore,
+  GEMINI_BYPASS_SIGNATURE,
+  tagSignature,
+  resolveSignature,
+} = require("./lib/google-common");
+
+const execAsync = promisify(exec);
 
 const CODE_ASSIST_ENDPOINT = "https://cloudcode-pa.googleapis.com/v1internal";
+// How long a credential sits out after a 429 before it is tried again
+const DEFAULT_QUOTA_COOLDOWN_MS = 5 * 60 * 1000;
 
 let oauth_file;
 
@@ -13,6 +44,87 @@ function updateOauthFile() {
 
 updateOauthFile(); 
 
+/**
+ * Resolve an entry of options.credentials to an oauth_creds.json path.
+ * @param {string} entry - A credentials file, or a directory laid out like
+ * ~/.gemini that contains one
+ * @returns {string} - The credentials file path
+ */
+function resolveCredentialFile(entry) {
+  const file = entry.startsWith("~")
+    ? path.join(os.homedir(), entry.slice(1))
+    : entry;
+  try {
+    if (fsSync.statSync(file).isDirectory()) {
+      return path.join(file, "oauth_creds.json");
+    }
+  } catch {}
+  return file;
+}
+
+/**
+ * Read an oauth_creds.json file.
+ * @param {string} file - The credentials file path
+ * @returns {Object|null} - The credentials, or null if unreadable
+ */
+function readCredentialFile(file) {
+  try {
+    return JSON.parse(fsSync.readFileSync(file, "utf-8"));
+  } catch (error) {
+    console.error(
+      `[gemini-cli] Failed to read credentials ${file}:`,
+      error.message
+    );
+    return null;
+  }
+}
+
+/**
+ * Write an oauth_creds.json file through a temp file and a rename, so the
+ * gemini CLI (or another router) never reads a half-written file.
+ * @param {string} file - The credentials file path
+ * @param {Object} creds - The credentials to save
+ */
+async function writeCredentialFile(file, creds) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  try {
+    await fs.writeFile(tmp, JSON.stringify(creds, null, 2), { mode: 0o600 });
+    await fs.rename(tmp, file);
+  } catch (error) {
+    await fs.rm(tmp, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Find the nearest directory that exists, starting from dir itself.
+ * @param {string} dir - The directory
+ * @returns {string} - dir or the closest directory above it
+ */
+function nearestExistingDir(dir) {
+  while (!fsSync.existsSync(dir) && path.dirname(dir) !== dir) {
+    dir = path.dirname(dir);
+  }
+  return dir;
+}
+
+/**
+ * Identify the Google account a set of credentials belongs to: the id_token
+ * subject when there is one, otherwise the refresh token.
+ * @param {Object} creds - The credentials
+ * @returns {string|null} - An account identifier
+ */
+function credentialAccount(creds) {
+  try {
+    const payload = creds.id_token.split(".")[1];
+    const { sub } = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (sub) {
+      return sub;
+    }
+  } catch {}
+  return creds?.refresh_token || null;
+}
+
 // Type enum equivalent in JavaScript
 const Type = {
   TYPE_UNSPECIFIED: "TYPE_UNSPECIFIED",
@@ -147,6 +259,93 @@ function processJsonSchema(_jsonSchema) {
   return genAISchema;
 }
 
+/**
+ * Render a code execution part (codeExecution tool) as markdown, so the code
+ * Gemini ran and its output show up in the reply.
+ * @param {Object} part - A Gemini part
+ * @returns {string|null} - The markdown, or null for other parts
+ */
+function renderCodeExecutionPart(part) {
+  if (part.executableCode) {
+    const language = (part.executableCode.language || "").toLowerCase();
+    return `\n\`\`\`${language === "language_unspecified" ? "" : language}\n${
+      part.executableCode.code?.trimEnd() || ""
+    }\n\`\`\`\n`;
+  }
+  if (part.codeExecutionResult) {
+    const { outcome, output } = part.codeExecutionResult;
+    const heading =
+      outcome && outcome !== "OUTCOME_OK" ? `Execution failed (${outcome}):\n` : "";
+    return `\n${heading}\`\`\`output\n${output?.trimEnd() || ""}\n\`\`\`\n`;
+  }
+  return null;
+}
+
+/**
+ * Join the answer text of a candidate's parts, including rendered code
+ * execution, and leave out thoughts.
+ * @param {Array} parts - The Gemini parts
+ * @returns {string} - The text content
+ */
+function partsToText(parts) {
+  return parts
+    .filter((part) => part.thought !== true)
+    .map((part) => part.text || renderCodeExecutionPart(part))
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Names of the functions to serve with Gemini's urlContext tool instead of
+ * sending them back to the client.
+ * @param {boolean|string[]} setting - options.urlContext: true for web_fetch,
+ * or a list of function names
+ * @returns {string[]} - The function names
+ */
+function resolveUrlContextTools(setting) {
+  if (Array.isArray(setting)) {
+    return setting;
+  }
+  return setting ? ["web_fetch"] : [];
+}
+
+/**
+ * Whether options.codeExecution turns on Gemini's codeExecution tool for a
+ * model.
+ * @param {boolean|string[]} setting - options.codeExecution: true for every
+ * model, or a list of model names
+ * @param {string} model - The model name
+ * @returns {boolean}
+ */
+function usesCodeExecution(setting, model) {
+  if (Array.isArray(setting)) {
+    return setting.includes(model);
+  }
+  return Boolean(setting);
+}
+
+/**
+ * Turn a response_format JSON schema into generationConfig fields. Schemas
+ * with $schema go through as responseJsonSchema, like tool parameters in
+ * tTool.
+ * @param {Object} schema - The JSON schema
+ * @returns {Object} - { responseSchema } or { responseJsonSchema }
+ */
+function toResponseSchemaFields(schema) {
+  if (Object.keys(schema).includes("$schema")) {
+    return { responseJsonSchema: schema };
+  }
+  try {
+    return { responseSchema: processJsonSchema(schema) };
+  } catch (error) {
+    console.error(
+      "[gemini-cli] Sending response schema as JSON Schema:",
+      error.message
+    );
+    return { responseJsonSchema: schema };
+  }
+}
+
 /**
  * Transform a tool object
  * @param {Object} tool - The tool object to transform
@@ -185,6 +384,17 @@ function tTool(tool) {
   }
   return tool;
 }
+
+// Thought signature tagging and the Gemini 3 bypass signature live in
+// lib/google-common.js, shared with antigravity.js.
+
+/*
+options.retry controls retries of requests that fail before any output is
+streamed; see RETRY_DEFAULTS in lib/google-common.js:
+  { maxRetries: 3, baseDelayMs: 1000, maxDelayMs: 30000, maxRetryDelayMs: 60000 }
+429s meaning a quota is used up are not retried; they rotate credentials.
+*/
+
 let thisA, thisB;
 
 class GeminiCLITransformer {
@@ -193,35 +403,172 @@ class GeminiCLITransformer {
   constructor(options = {}) {
     thisA = this;
     this.options = options || {};
-    this.projectId = null; // Will be fetched dynamically from loadCodeAssist
-    this.projectIdPromise = null; // Cache the promise to avoid duplicate calls
+    // options.credentials is a list of credential files or directories to
+    // rotate through on 429; without it, the gemini CLI's own login is used
+    const files = this.options.credentials?.length
+      ? [].concat(this.options.credentials).map(resolveCredentialFile)
+      : [oauth_file];
+    this.credentials = files.map((file) => ({
+      file,
+      creds: readCredentialFile(file),
+      projectId: null, // Will be fetched dynamically from loadCodeAssist
+      projectIdPromise: null, // Cache the promise to avoid duplicate calls
+      refreshPromise: null,
+      cooldownUntil: 0,
+      reloadTimer: null,
+    }));
+    this.credentials.forEach((credential) => this.watchCredential(credential));
+    this.activeCredential = 0;
+    // Host request (context.req) -> state of the request sent for it, so
+    // concurrent requests never see each other's retries or fallbacks
+    this.requestStates = createRequestStateStore();
+  }
+
+  /**
+   * Pick the credential for the next request: the active one, or the next one
+   * in the pool if it is cooling down after a 429.
+   * @param {string} [tag] - Log prefix with the request's correlation ID
+   * @returns {Object|null} - The credential, or null if none is usable
+   */
+  selectCredential(tag = "[gemini-cli]") {
+    const now = Date.now();
+    for (let i = 0; i < this.credentials.length; i++) {
+      const index = (this.activeCredential + i) % this.credentials.length;
+      const credential = this.credentials[index];
+      if (credential.creds && credential.cooldownUntil <= now) {
+        if (index !== this.activeCredential) {
+          console.error(`${tag} Switching to credentials ${credential.file}`);
+          this.activeCredential = index;
+        }
+        return credential;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reload a credential whenever its file changes, e.g. when the gemini CLI or
+   * another router refreshes the token or a different account logs in. The
+   * directory is watched because those tools replace the file by renaming.
+   * Until the directory exists (e.g. ~/.gemini before the first login), the
+   * nearest directory above it is watched instead, and the watch moves down
+   * as the missing directories are created (or back up if they are removed).
+   * @param {Object} credential - The credential to watch
+   */
+  watchCredential(credential) {
+    const name = path.basename(credential.file);
+    const fileDir = path.dirname(credential.file);
+    const dir = nearestExistingDir(fileDir);
     try {
-      this.oauth_creds = require(oauth_file);
-    } catch {}
+      const watcher = fsSync
+        .watch(dir, { persistent: false }, (event, file) => {
+          if (dir === fileDir && fsSync.existsSync(dir)) {
+            if (file && file !== name) {
+              return;
+            }
+          } else {
+            if (nearestExistingDir(fileDir) === dir) {
+              return;
+            }
+            watcher.close();
+            this.watchCredential(credential);
+            // The file may have been written before the new watch started
+          }
+          // Editors and tools often write in several steps; reload once
+          clearTimeout(credential.reloadTimer);
+          credential.reloadTimer = setTimeout(
+            () => this.reloadCredential(credential),
+            100
+          );
+          credential.reloadTimer.unref?.();
+        })
+        .on("error", (error) => {
+          console.error(
+            `[gemini-cli] Stopped watching ${credential.file}:`,
+            error.message
+          );
+        });
+    } catch (error) {
+      console.error(
+        `[gemini-cli] Cannot watch ${credential.file}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Re-read a credential's file and take its credentials if they are for a
+   * different account or expire later than the ones in memory.
+   * @param {Object} credential - The credential to reload
+   * @returns {Promise<boolean>} - Whether the credentials changed
+   */
+  async reloadCredential(credential) {
+    let creds;
+    try {
+      creds = JSON.parse(await fs.readFile(credential.file, "utf-8"));
+    } catch {
+      // Missing or mid-write; the next change event will try again
+      return false;
+    }
+    if (!creds?.access_token) {
+      return false;
+    }
+    const current = credential.creds;
+    if (
+      current &&
+      credentialAccount(creds) === credentialAccount(current) &&
+      (creds.expiry_date || 0) <= (current.expiry_date || 0)
+    ) {
+      return false;
+    }
+    console.error(`[gemini-cli] Reloaded credentials from ${credential.file}`);
+    this.setCredentials(credential, creds);
+    return true;
+  }
+
+  /**
+   * Replace a credential's tokens, forgetting its project ID if they belong to
+   * another account.
+   * @param {Object} credential - The credential to update
+   * @param {Object} creds - The new credentials
+   */
+  setCredentials(credential, creds) {
+    if (
+      !credential.creds ||
+      credentialAccount(creds) !== credentialAccount(credential.creds)
+    ) {
+      credential.projectId = null;
+      credential.projectIdPromise = null;
+      credential.cooldownUntil = 0;
+    }
+    credential.creds = creds;
   }
 
   /**
    * Fetch the project ID from loadCodeAssist endpoint
    * This is required because the server assigns a dynamic project ID
+   * @param {Object} credential - The credential to fetch it for; the ID is
+   * cached on it
+   * @param {string} [tag] - Log prefix with the request's correlation ID
    */
-  async loadCodeAssist() {
-    if (this.projectId) {
-      return this.projectId;
+  async loadCodeAssist(credential, tag = "[gemini-cli]") {
+    if (credential.projectId) {
+      return credential.projectId;
     }
 
     // If already fetching, wait for that promise
-    if (this.projectIdPromise) {
-      return this.projectIdPromise;
+    if (credential.projectIdPromise) {
+      return credential.projectIdPromise;
     }
 
-    this.projectIdPromise = (async () => {
+    credential.projectIdPromise = (async () => {
       try {
-        console.error("[gemini-cli] Fetching new project ID from loadCodeAssist...");
+        console.error(`${tag} Fetching new project ID from loadCodeAssist...`);
         const response = await fetch(`${CODE_ASSIST_ENDPOINT}:loadCodeAssist`, {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
-            Authorization: `Bearer ${this.oauth_creds.access_token}`,
+            Authorization: `Bearer ${credential.creds.access_token}`,
             "user-agent": "GeminiCLI/v22.12.0",
           },
           body: JSON.stringify({
@@ -239,33 +586,73 @@ class GeminiCLITransformer {
         }
 
         const data = await response.json();
-        this.projectId = data.cloudaicompanionProject;
-        console.error("[gemini-cli] Got project ID:", this.projectId);
-        return this.projectId;
+        credential.projectId = data.cloudaicompanionProject;
+        console.error(`${tag} Got project ID:`, credential.projectId);
+        return credential.projectId;
       } catch (error) {
-        console.error("[gemini-cli] Failed to load project ID:", error.message);
+        console.error(`${tag} Failed to load project ID:`, error.message);
         // Fall back to configured project if loadCodeAssist fails
-        this.projectId = this.options?.project;
-        return this.projectId;
+        credential.projectId = this.options?.project;
+        return credential.projectId;
       }
     })();
 
-    return this.projectIdPromise;
+    return credential.projectIdPromise;
+  }
+
+  async transformRequestIn(request, provider, context) {
+    const state = {
+      id: crypto.randomBytes(4).toString("hex"),
+      request,
+      provider,
+      credential: null,
+      retries: 0,
+      // Models from options.fallbacks still to try if this one is unavailable
+      fallbacks: [...(this.options?.fallbacks?.[request.model] || [])],
+      quotaHandled: false,
+    };
+    if (!this.requestStates.set(context, state)) {
+      console.error(
+        `[gemini-cli] [${state.id}] No context.req from the host; the response will not be retried or replayed`
+      );
+    }
+    return this.buildUpstreamRequest(state);
   }
 
-  async transformRequestIn(request, provider) {
-    this.lastRequest = request;
-    this.lastProvider = provider;
-    if (this.oauth_creds && this.oauth_creds.expiry_date < +new Date()) {
-      await this.refreshToken(this.oauth_creds.refresh_token);
+  /**
+   * Build the Code Assist request for a request state. Called again with the
+   * same state whenever the request is retried.
+   * @param {Object} state - The request state
+   */
+  async buildUpstreamRequest(state) {
+    const { request } = state;
+    const tag = `[gemini-cli] [${state.id}]`;
+    // If every credential is cooling down, keep using the active one
+    const credential =
+      this.selectCredential(tag) || this.credentials[this.activeCredential];
+    if (!credential.creds) {
+      throw new Error(`[gemini-cli] No credentials found at ${credential.file}`);
+    }
+    state.credential = credential;
+    if (credential.creds.expiry_date < +new Date()) {
+      // Another tool may have refreshed it already
+      await this.reloadCredential(credential);
+    }
+    if (credential.creds.expiry_date < +new Date()) {
+      await this.refreshToken(credential);
     }
 
     // Get the dynamic project ID from loadCodeAssist
-    const projectId = await this.loadCodeAssist();
+    const projectId = await this.loadCodeAssist(credential, tag);
 
     const tools = [];
+    const urlContextTools = resolveUrlContextTools(this.options?.urlContext);
     const functionDeclarations = request.tools
-      ?.filter((tool) => tool.function.name !== "web_search")
+      ?.filter(
+        (tool) =>
+          tool.function.name !== "web_search" &&
+          !urlContextTools.includes(tool.function.name)
+      )
       ?.map((tool) => {
         return {
           name: tool.function.name,
@@ -288,12 +675,44 @@ class GeminiCLITransformer {
         googleSearch: {},
       });
     }
+    // Gemini fetches the URLs in the prompt itself
+    if (
+      request.tools?.some((tool) =>
+        urlContextTools.includes(tool.function.name)
+      )
+    ) {
+      tools.push({
+        urlContext: {},
+      });
+    }
+    // options.codeExecution lets Gemini run Python in a sandbox for quick
+    // calculations and data crunching. The API rejects it next to function
+    // declarations, so it is only added to requests without client tools.
+    if (usesCodeExecution(this.options?.codeExecution, request.model)) {
+      if (functionDeclarations?.length) {
+        console.error(
+          `${tag} Skipping codeExecution: the request declares ${functionDeclarations.length} function(s)`
+        );
+      } else {
+        tools.push({
+          codeExecution: {},
+        });
+      }
+    }
 
     const contents = [];
-    const toolResponses = request.messages.filter(
-      (item) => item.role === "tool"
-    );
-    request.messages
+    const messages = repairToolPairing(request.messages);
+    const toolResponses = messages.filter((item) => item.role === "tool");
+    const remoteImages = await fetchRemoteImages(messages, {
+      maxBytes: this.options?.imageMaxBytes,
+      timeoutMs: this.options?.imageFetchTimeoutMs,
+      onError: (url, error) =>
+        console.error(
+          `${tag} Failed to download image ${url}:`,
+          error.message
+        ),
+    });
+    messages
       .filter((item) => item.role !== "tool" && item.role !== "system")
       .forEach((message) => {
         let role;
@@ -305,12 +724,21 @@ class GeminiCLITransformer {
           role = "user"; // Default to user if role is not recognized
         }
         const parts = [];
+        const signature = resolveSignature(
+          message.thinking?.signature,
+          request.model
+        );
+        if (message.thinking?.signature && !signature) {
+          console.error(
+            `${tag} Dropping thought signature from another model`
+          );
+        }
         if (typeof message.content === "string") {
           const part = {
             text: message.content,
           };
-          if (message?.thinking?.signature) {
-            part.thoughtSignature = message.thinking.signature;
+          if (signature) {
+            part.thoughtSignature = signature;
           }
           parts.push(part);
         } else if (Array.isArray(message.content)) {
@@ -322,20 +750,26 @@ class GeminiCLITransformer {
                 };
               }
               if (content.type === "image_url") {
-                if (content.image_url.url.startsWith("http")) {
+                const url = content.image_url.url;
+                if (isRemoteImageUrl(url)) {
+                  // Downloaded up front by fetchRemoteImages; the API can't
+                  // fetch arbitrary URLs itself
+                  const image = remoteImages.get(url);
+                  if (!image) {
+                    return { text: `[Image: ${url}]` };
+                  }
                   return {
-                    file_data: {
-                      mime_type: content.media_type,
-                      file_uri: content.image_url.url,
+                    inlineData: {
+                      mime_type: image.mimeType,
+                      data: image.data,
                     },
                   };
                 } else {
+                  const dataUrlType = url?.match(/^data:([^;,]+)/)?.[1];
                   return {
                     inlineData: {
-                      mime_type: content.media_type,
-                      data:
-                        content.image_url.url?.split(",")?.pop() ||
-                        content.image_url.url,
+                      mime_type: content.media_type || dataUrlType,
+                      data: url?.split(",")?.pop() || url,
                     },
                   };
                 }
@@ -352,22 +786,18 @@ class GeminiCLITransformer {
         }
 
         if (Array.isArray(message.tool_calls)) {
-          const hasSignature = !!message.thinking?.signature;
           const isGemini3 = request.model.includes("gemini-3");
 
-          // Gemini 3 requires thought signatures on function calls
-          // Use the documented bypass signature for cross-model migration
-          // (e.g., conversation history from Claude or other models)
-          const bypassSignature = "context_engineering_is_the_way_to_go";
-
           parts.push(
             ...message.tool_calls.map((toolCall, index) => {
-              // Use real signature if available, otherwise use bypass for Gemini 3
-              let signature;
-              if (index === 0 && hasSignature) {
-                signature = message.thinking.signature;
+              // Gemini 3 requires thought signatures on function calls. Use the
+              // real signature if it is ours, otherwise the bypass signature
+              // (e.g., conversation history from Claude or other models)
+              let callSignature;
+              if (index === 0 && signature) {
+                callSignature = signature;
               } else if (isGemini3 && index === 0) {
-                signature = bypassSignature;
+                callSignature = GEMINI_BYPASS_SIGNATURE;
               }
 
               return {
@@ -378,7 +808,7 @@ class GeminiCLITransformer {
                   name: toolCall.function.name,
                   args: JSON.parse(toolCall.function.arguments || "{}"),
                 },
-                thoughtSignature: signature,
+                thoughtSignature: callSignature,
               };
             })
           );
@@ -400,7 +830,7 @@ class GeminiCLITransformer {
             );
             return {
               functionResponse: {
-                name: tool?.function?.name,
+                name: tool?.function?.name || response?.name,
                 response: { result: response?.content },
               },
             };
@@ -411,8 +841,22 @@ class GeminiCLITransformer {
           });
         }
       });
+    mergeConsecutiveTurns(contents);
 
     const generationConfig = {};
+    // OpenAI sampling parameters, clamped per model (see lib/google-common.js)
+    applySamplingParams(generationConfig, request, { model: request.model });
+    applyResponseFormat(
+      generationConfig,
+      request.response_format,
+      toResponseSchemaFields
+    );
+    // options.safetySettings: one threshold, a [{ category, threshold }] list,
+    // or a map of model name -> either (see lib/google-common.js)
+    const safetySettings = resolveSafetySettings(
+      this.options?.safetySettings,
+      request.model
+    );
 
     if (
       request.reasoning &&
@@ -459,6 +903,7 @@ class GeminiCLITransformer {
       contents,
       tools: tools.length ? tools : undefined,
       generationConfig,
+      safetySettings: safetySettings || undefined,
       system_instruction: {
         parts: systemMessages,
       },
@@ -496,114 +941,114 @@ class GeminiCLITransformer {
           }`
         ),
         headers: {
-          Authorization: `Bearer ${this.oauth_creds.access_token}`,
+          Authorization: `Bearer ${credential.creds.access_token}`,
           "user-agent": `GeminiCLI/v22.12.0 (darwin; arm64)`,
         },
       },
     };
   }
 
-  async transformResponseOut(response) {
-    // Check for 429 (quota exceeded) and execute onQuotaExhausted command if configured
+  async transformResponseOut(response, context) {
+    const state = this.requestStates.get(context);
+    return withRequestId(await this.handleResponse(response, state), state?.id);
+  }
+
+  /**
+   * Retry, fail over or convert an upstream response.
+   * @param {Response} response - The Code Assist response
+   * @param {Object} [state] - The state of the request it answers
+   */
+  async handleResponse(response, state) {
+    const requestModel = state?.request.model;
+    const responseFormat = state?.request.response_format;
+    const tag = state ? `[gemini-cli] [${state.id}]` : "[gemini-cli]";
+    // Transient errors and short rate limits: back off and retry with the
+    // same credential
+    let failure = null;
     if (
-      response.status === 429 &&
-      this.options?.onQuotaExhausted &&
-      typeof this.options.onQuotaExhausted === "string"
+      state &&
+      (response.status === 429 || TRANSIENT_STATUSES.includes(response.status))
     ) {
-      console.error("[gemini-cli] 429 quota exceeded, running quota handler...");
-
-      try {
-        const output = execSync(this.options.onQuotaExhausted, {
-          encoding: "utf-8",
-          timeout: 30000, // 30 second timeout
-        });
-        if (output) console.error("[gemini-cli] Quota handler output:", output.trim());
-        console.error("[gemini-cli] Quota handler completed");
-
-        // Wait for filesystem to settle after directory swap
-        await new Promise(resolve => setTimeout(resolve, 100));
-
-        // Reload credentials with retry logic
-        const maxRetries = 3;
-        let credentialsLoaded = false;
-
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-          try {
-            // Check if file exists first
-            const fsSync = require("fs");
-            if (!fsSync.existsSync(oauth_file)) {
-              console.error(`[gemini-cli] Credentials file not found (attempt ${attempt}/${maxRetries}), waiting...`);
-              await new Promise(resolve => setTimeout(resolve, 200 * attempt));
-              continue;
-            }
-
-            const newCreds = JSON.parse(fsSync.readFileSync(oauth_file, "utf-8"));
+      failure = classifyFailure(
+        response.status,
+        response.headers,
+        await response.clone().text(),
+        state.retries,
+        { ...RETRY_DEFAULTS, ...this.options?.retry }
+      );
+      if (failure.retry) {
+        state.retries++;
+        console.error(
+          `${tag} Upstream returned ${response.status}, retrying in ${Math.round(
+            failure.delayMs
+          )}ms (retry ${state.retries})`
+        );
+        await new Promise((resolve) => setTimeout(resolve, failure.delayMs));
+        return this.replayRequest(state);
+      }
+    }
 
-            // Verify we got different credentials (different access token or refresh token)
-            if (this.oauth_creds &&
-                newCreds.access_token === this.oauth_creds.access_token &&
-                newCreds.refresh_token === this.oauth_creds.refresh_token) {
-              console.error("[gemini-cli] Warning: Credentials unchanged after swap");
-            }
+    // On 429 (quota exceeded), bench the credential and retry with the next
+    // one in the pool. The onQuotaExhausted command is the last resort.
+    if (response.status === 429 && state) {
+      const credential = state.credential;
+      if (credential) {
+        // Sit out as long as the server says the quota needs to reset
+        credential.cooldownUntil =
+          Date.now() +
+          (failure?.quotaExhausted && failure.delayMs
+            ? failure.delayMs
+            : this.options?.quotaCooldownMs ?? DEFAULT_QUOTA_COOLDOWN_MS);
+        console.error(`${tag} 429 quota exceeded for ${credential.file}`);
+      }
 
-            this.oauth_creds = newCreds;
-            credentialsLoaded = true;
-            console.error("[gemini-cli] Credentials reloaded successfully");
-            break;
-          } catch (readError) {
-            console.error(`[gemini-cli] Credential read error (attempt ${attempt}/${maxRetries}):`, readError.message);
-            if (attempt < maxRetries) {
-              await new Promise(resolve => setTimeout(resolve, 200 * attempt));
-            }
-          }
-        }
+      if (this.selectCredential(tag)) {
+        return this.replayRequest(state);
+      }
 
-        if (!credentialsLoaded) {
-          console.error("[gemini-cli] Failed to reload credentials after all retries");
-          // Return original 429 response - let the caller handle it
-          return response;
+      if (
+        credential &&
+        typeof this.options?.onQuotaExhausted === "string" &&
+        !state.quotaHandled
+      ) {
+        state.quotaHandled = true;
+        if (await this.runQuotaHandler(credential, tag)) {
+          return this.replayRequest(state);
         }
+      }
+      return (
+        (await this.fallbackToNextModel(state, response.status)) || response
+      );
+    }
 
-        // Clear cached project ID so it's re-fetched with new credentials
-        this.projectId = null;
-        this.projectIdPromise = null;
-        console.error("[gemini-cli] Project cache cleared");
-
-        // Re-transform the request to get new headers/projectID
-        console.error("[gemini-cli] Retrying request with new credentials...");
-        const transformed = await this.transformRequestIn(
-          this.lastRequest,
-          this.lastProvider
-        );
-        const newUrl = transformed.config.url;
-        const newHeaders = transformed.config.headers;
-        const newBody = JSON.stringify(transformed.body.request);
-
-        // Make the new request
-        const newResponse = await fetch(newUrl, {
-          method: "POST",
-          headers: newHeaders,
-          body: newBody,
-        });
-
-        console.error("[gemini-cli] Retry response status:", newResponse.status);
-
-        // Recurse to process the new response (it might be a stream or json)
-        return this.transformResponseOut(newResponse);
-      } catch (error) {
-        console.error("[gemini-cli] Quota handler error:", error.message);
-        // Return original 429 response on complete failure
-        return response;
+    // The model isn't available (e.g. a preview that was pulled)
+    if (state && (response.status === 403 || response.status === 404)) {
+      const fallback = await this.fallbackToNextModel(state, response.status);
+      if (fallback) {
+        return fallback;
       }
     }
 
     if (response.headers.get("Content-Type")?.includes("application/json")) {
       let jsonResponse = await response.json();
       jsonResponse = jsonResponse.response;
+      const blocked = getBlockedResult(jsonResponse);
+      if (blocked) {
+        console.error(
+          `${tag} Blocked by content filter: ${blocked.reason}`,
+          blocked.category || ""
+        );
+        if (!jsonResponse.candidates?.length) {
+          // The prompt itself was blocked, so there is no candidate to convert
+          jsonResponse.candidates = [
+            { content: { parts: [] }, finishReason: blocked.reason },
+          ];
+        }
+      }
       // Extract thinking content from parts with thought: true
       let thinkingContent = "";
       let thinkingSignature = "";
-      console.log(JSON.stringify(jsonResponse.candidates, null, 2));
+      this.logger?.debug({ candidates: jsonResponse.candidates }, "gemini-cli candidates:");
 
       const parts = jsonResponse.candidates[0]?.content?.parts || [];
       const nonThinkingParts = [];
@@ -621,49 +1066,57 @@ class GeminiCLITransformer {
         (part) => part.thoughtSignature
       )?.thoughtSignature;
 
-      const tool_calls =
-        nonThinkingParts
-          ?.filter((part) => part.functionCall)
-          ?.map((part) => ({
-            id:
-              part.functionCall?.id ||
-              `tool_${Math.random().toString(36).substring(2, 15)}`,
-            type: "function",
-            function: {
-              name: part.functionCall?.name,
-              arguments: JSON.stringify(part.functionCall?.args || {}),
-            },
-          })) || [];
-
-      const textContent =
-        nonThinkingParts
-          ?.filter((part) => part.text)
-          ?.map((part) => part.text)
-          ?.join("\n") || "";
+      const tool_calls = nonThinkingParts
+        .filter((part) => part.functionCall)
+        .map((part) => functionCallToToolCall(part.functionCall));
+
+      const answer = finishAnswerText(
+        partsToText(nonThinkingParts),
+        responseFormat,
+        {
+          hasToolCalls: tool_calls.length > 0,
+          blocked,
+          finishReason: jsonResponse.candidates[0].finishReason,
+        }
+      );
+      if (answer.error) {
+        console.error(`${tag} ${answer.error}`);
+        return new Response(
+          JSON.stringify(invalidResponseFormatError(answer.error)),
+          {
+            status: 502,
+            headers: { "Content-Type": "application/json" },
+          }
+        );
+      }
 
       const res = {
         id: jsonResponse.responseId,
         choices: [
           {
-            finish_reason:
-              jsonResponse.candidates[0].finishReason?.toLowerCase() || null,
+            finish_reason: blocked
+              ? "content_filter"
+              : mapFinishReason(
+                  jsonResponse.candidates[0].finishReason,
+                  tool_calls.length > 0
+                ),
             index: 0,
             message: {
-              content: textContent,
+              content: answer.content,
               role: "assistant",
               tool_calls: tool_calls.length > 0 ? tool_calls : undefined,
               // Add thinking as separate field if available
               ...(thinkingSignature && {
                 thinking: {
                   content: thinkingContent || "(no content)",
-                  signature: thinkingSignature,
+                  signature: tagSignature(thinkingSignature, requestModel),
                 },
               }),
             },
           },
         ],
         created: parseInt(new Date().getTime() / 1000 + "", 10),
-        model: jsonResponse.modelVersion,
+        model: jsonResponse.modelVersion || requestModel,
         object: "chat.completion",
         usage: {
           completion_tokens: jsonResponse.usageMetadata.candidatesTokenCount,
@@ -674,6 +1127,10 @@ class GeminiCLITransformer {
           thoughts_token_count: jsonResponse.usageMetadata?.thoughtsTokenCount,
         },
       };
+      // Extra candidates (n > 1) come back as additional choices
+      jsonResponse.candidates.slice(1).forEach((candidate, index) => {
+        res.choices.push(candidateToChoice(candidate, index + 1, partsToText));
+      });
       return new Response(JSON.stringify(res), {
         status: response.status,
         statusText: response.statusText,
@@ -692,6 +1149,11 @@ class GeminiCLITransformer {
       let pendingContent = "";
       let contentIndex = 0;
       let toolCallIndex = -1;
+      let blocked = null;
+      // JSON mode: hold the text back and check it once the stream ends
+      const jsonMode = isJsonResponseFormat(responseFormat);
+      let jsonText = "";
+      let finishReason = null;
 
       const stream = new ReadableStream({
         async start(controller) {
@@ -704,6 +1166,19 @@ class GeminiCLITransformer {
                   let chunk = JSON.parse(chunkStr);
                   chunk = chunk.response;
 
+                  // Explained in a final chunk once the stream ends
+                  const blockedResult = getBlockedResult(chunk);
+                  if (blockedResult) {
+                    blocked = blockedResult;
+                    console.error(
+                      `${tag} Blocked by content filter: ${blocked.reason}`,
+                      blocked.category || ""
+                    );
+                    if (chunk.candidates?.[0]) {
+                      delete chunk.candidates[0].finishReason;
+                    }
+                  }
+
                   // Check if chunk has valid structure
                   if (!chunk.candidates || !chunk.candidates[0]) {
                     this.logger?.debug({ chunkStr }, `Invalid chunk structure`);
@@ -712,6 +1187,9 @@ class GeminiCLITransformer {
 
                   const candidate = chunk.candidates[0];
                   const parts = candidate.content?.parts || [];
+                  if (candidate.finishReason) {
+                    finishReason = candidate.finishReason;
+                  }
 
                   parts
                     .filter((part) => part.text && part.thought === true)
@@ -736,7 +1214,7 @@ class GeminiCLITransformer {
                         ],
                         created: parseInt(new Date().getTime() / 1000 + "", 10),
                         id: chunk.responseId || "",
-                        model: chunk.modelVersion || "",
+                        model: chunk.modelVersion || requestModel || "",
                         object: "chat.completion.chunk",
                         system_fingerprint: "fp_a49d71b8a1",
                       };
@@ -769,7 +1247,7 @@ class GeminiCLITransformer {
                         ],
                         created: parseInt(new Date().getTime() / 1000 + "", 10),
                         id: chunk.responseId || "",
-                        model: chunk.modelVersion || "",
+                        model: chunk.modelVersion || requestModel || "",
                         object: "chat.completion.chunk",
                         system_fingerprint: "fp_a49d71b8a1",
                       };
@@ -786,7 +1264,7 @@ class GeminiCLITransformer {
                             role: "assistant",
                             content: null,
                             thinking: {
-                              signature,
+                              signature: tagSignature(signature, requestModel),
                             },
                           },
                           finish_reason: null,
@@ -796,7 +1274,7 @@ class GeminiCLITransformer {
                       ],
                       created: parseInt(new Date().getTime() / 1000 + "", 10),
                       id: chunk.responseId || "",
-                      model: chunk.modelVersion || "",
+                      model: chunk.modelVersion || requestModel || "",
                       object: "chat.completion.chunk",
                       system_fingerprint: "fp_a49d71b8a1",
                     };
@@ -822,7 +1300,7 @@ class GeminiCLITransformer {
                         ],
                         created: parseInt(new Date().getTime() / 1000 + "", 10),
                         id: chunk.responseId || "",
-                        model: chunk.modelVersion || "",
+                        model: chunk.modelVersion || requestModel || "",
                         object: "chat.completion.chunk",
                         system_fingerprint: "fp_a49d71b8a1",
                       };
@@ -840,27 +1318,20 @@ class GeminiCLITransformer {
 
                   const tool_calls = parts
                     .filter((part) => part.functionCall)
-                    .map((part) => ({
-                      id:
-                        part.functionCall?.id ||
-                        `ccr_tool_${Math.random()
-                          .toString(36)
-                          .substring(2, 15)}`,
-                      type: "function",
-                      function: {
-                        name: part.functionCall?.name,
-                        arguments: JSON.stringify(
-                          part.functionCall?.args || {}
-                        ),
-                      },
-                    }));
+                    .map((part) => functionCallToToolCall(part.functionCall));
 
-                  const textContent = parts
-                    .filter((part) => part.text && part.thought !== true)
-                    .map((part) => part.text)
-                    .join("\n");
+                  let textContent = partsToText(parts);
+                  if (jsonMode) {
+                    jsonText += textContent;
+                    textContent = "";
+                  }
 
-                  if (!textContent && signatureSent && !contentSent) {
+                  if (
+                    !textContent &&
+                    !jsonMode &&
+                    signatureSent &&
+                    !contentSent
+                  ) {
                     const emptyContentChunk = {
                       choices: [
                         {
@@ -875,7 +1346,7 @@ class GeminiCLITransformer {
                       ],
                       created: parseInt(new Date().getTime() / 1000 + "", 10),
                       id: chunk.responseId || "",
-                      model: chunk.modelVersion || "",
+                      model: chunk.modelVersion || requestModel || "",
                       object: "chat.completion.chunk",
                       system_fingerprint: "fp_a49d71b8a1",
                     };
@@ -904,15 +1375,17 @@ class GeminiCLITransformer {
                             role: "assistant",
                             content: textContent,
                           },
-                          finish_reason:
-                            candidate.finishReason?.toLowerCase() || null,
+                          finish_reason: mapFinishReason(
+                            candidate.finishReason,
+                            toolCallIndex >= 0 || tool_calls.length > 0
+                          ),
                           index: contentIndex,
                           logprobs: null,
                         },
                       ],
                       created: parseInt(new Date().getTime() / 1000 + "", 10),
                       id: chunk.responseId || "",
-                      model: chunk.modelVersion || "",
+                      model: chunk.modelVersion || requestModel || "",
                       object: "chat.completion.chunk",
                       system_fingerprint: "fp_a49d71b8a1",
                       usage: {
@@ -976,15 +1449,17 @@ class GeminiCLITransformer {
                                 },
                               ],
                             },
-                            finish_reason:
-                              candidate.finishReason?.toLowerCase() || null,
+                            finish_reason: mapFinishReason(
+                              candidate.finishReason,
+                              true
+                            ),
                             index: contentIndex,
                             logprobs: null,
                           },
                         ],
                         created: parseInt(new Date().getTime() / 1000 + "", 10),
                         id: chunk.responseId || "",
-                        model: chunk.modelVersion || "",
+                        model: chunk.modelVersion || requestModel || "",
                         object: "chat.completion.chunk",
                         system_fingerprint: "fp_a49d71b8a1",
                       };
@@ -1056,6 +1531,61 @@ class GeminiCLITransformer {
                 await processLine(line, controller);
               }
             }
+
+            if (jsonMode || blocked) {
+              // Text held back waiting for a thought signature would
+              // otherwise be lost when the answer was blocked
+              const answer = finishAnswerText(
+                blocked ? pendingContent + jsonText : jsonText,
+                responseFormat,
+                {
+                  hasToolCalls: toolCallIndex >= 0,
+                  blocked,
+                  finishReason,
+                  textSent: contentSent,
+                }
+              );
+              if (answer.error) {
+                console.error(`${tag} ${answer.error}`);
+                controller.enqueue(
+                  encoder.encode(
+                    `data: ${JSON.stringify(
+                      invalidResponseFormatError(answer.error)
+                    )}\n\n`
+                  )
+                );
+                return;
+              }
+              // Tool call chunks already carried their own finish reason
+              if (answer.content || toolCallIndex < 0) {
+                const res = {
+                  choices: [
+                    {
+                      delta: {
+                        role: "assistant",
+                        content: answer.content,
+                      },
+                      finish_reason: blocked
+                        ? "content_filter"
+                        : mapFinishReason(
+                            finishReason || "STOP",
+                            toolCallIndex >= 0
+                          ),
+                      index: contentIndex + 1,
+                      logprobs: null,
+                    },
+                  ],
+                  created: parseInt(new Date().getTime() / 1000 + "", 10),
+                  id: "",
+                  model: requestModel || "",
+                  object: "chat.completion.chunk",
+                  system_fingerprint: "fp_a49d71b8a1",
+                };
+                controller.enqueue(
+                  encoder.encode(`data: ${JSON.stringify(res)}\n\n`)
+                );
+              }
+            }
           } catch (error) {
             controller.error(error);
           } finally {
@@ -1073,8 +1603,141 @@ class GeminiCLITransformer {
     return response;
   }
 
-  refreshToken(refresh_token) {
-    return fetch("https://oauth2.googleapis.com/token", {
+  /**
+   * Resend a request to the next model in options.fallbacks for the model that
+   * was originally requested, e.g.
+   *   { "gemini-3-pro-preview": ["gemini-2.5-pro", "gemini-2.5-flash"] }
+   * @param {Object} state - The request state
+   * @param {number} status - The status that made the current model fail
+   * @returns {Promise<Response|null>} - The fallback's response, or null if
+   * there is no model left to try
+   */
+  async fallbackToNextModel(state, status) {
+    const model = state.fallbacks.shift();
+    if (!model) {
+      return null;
+    }
+
+    console.error(
+      `[gemini-cli] [${state.id}] ${state.request.model} failed with ${status}, falling back to ${model}`
+    );
+    state.request = { ...state.request, model };
+    state.retries = 0;
+    return this.replayRequest(state);
+  }
+
+  /**
+   * Run options.onQuotaExhausted (e.g. a script that swaps in another login)
+   * without blocking the event loop, then reload the credential from its file.
+   * Concurrent 429s share one run.
+   * @param {Object} credential - The credential that hit its quota
+   * @param {string} [tag] - Log prefix with the correlation ID of the request
+   * that started the run
+   * @returns {Promise<boolean>} - Whether the credential was reloaded
+   */
+  runQuotaHandler(credential, tag = "[gemini-cli]") {
+    if (this.quotaHandlerPromise) {
+      return this.quotaHandlerPromise;
+    }
+
+    this.quotaHandlerPromise = (async () => {
+      console.error(`${tag} Running quota handler...`);
+      try {
+        const { stdout } = await execAsync(this.options.onQuotaExhausted, {
+          encoding: "utf-8",
+          timeout: 30000, // 30 second timeout
+        });
+        if (stdout) console.error(`${tag} Quota handler output:`, stdout.trim());
+        console.error(`${tag} Quota handler completed`);
+      } catch (error) {
+        console.error(`${tag} Quota handler error:`, error.message);
+        return false;
+      }
+
+      // Wait for filesystem to settle after directory swap
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      // Reload credentials with retry logic
+      const maxRetries = 3;
+      for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+          const newCreds = JSON.parse(
+            await fs.readFile(credential.file, "utf-8")
+          );
+
+          // Verify we got different credentials (different access token or refresh token)
+          if (
+            credential.creds &&
+            newCreds.access_token === credential.creds.access_token &&
+            newCreds.refresh_token === credential.creds.refresh_token
+          ) {
+            console.error(`${tag} Warning: Credentials unchanged after swap`);
+          }
+
+          // Clears the cached project ID if the swap changed the account
+          this.setCredentials(credential, newCreds);
+          credential.cooldownUntil = 0;
+          console.error(`${tag} Credentials reloaded successfully`);
+          return true;
+        } catch (readError) {
+          console.error(
+            `${tag} Credential read error (attempt ${attempt}/${maxRetries}):`,
+            readError.message
+          );
+          if (attempt < maxRetries) {
+            await new Promise((resolve) => setTimeout(resolve, 200 * attempt));
+          }
+        }
+      }
+
+      console.error(`${tag} Failed to reload credentials after all retries`);
+      return false;
+    })().finally(() => {
+      this.quotaHandlerPromise = null;
+    });
+
+    return this.quotaHandlerPromise;
+  }
+
+  /**
+   * Re-send a request (with whichever credential is now active) and process
+   * its response.
+   * @param {Object} state - The request state
+   */
+  async replayRequest(state) {
+    console.error(`[gemini-cli] [${state.id}] Retrying request...`);
+    const transformed = await this.buildUpstreamRequest(state);
+
+    const newResponse = await fetch(transformed.config.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...transformed.config.headers,
+      },
+      body: JSON.stringify(transformed.body),
+    });
+
+    console.error(
+      `[gemini-cli] [${state.id}] Retry response status:`,
+      newResponse.status
+    );
+
+    // Recurse to process the new response (it might be a stream or json)
+    return this.handleResponse(newResponse, state);
+  }
+
+  /**
+   * Refresh a credential's access token and save it back to its own file,
+   * unless the file meanwhile got a token that expires later.
+   * Concurrent refreshes of the same credential share one request.
+   * @param {Object} credential - The credential to refresh
+   */
+  refreshToken(credential) {
+    if (credential.refreshPromise) {
+      return credential.refreshPromise;
+    }
+    const refresh_token = credential.creds.refresh_token;
+    credential.refreshPromise = fetch("https://oauth2.googleapis.com/token", {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -1093,10 +1756,218 @@ class GeminiCLITransformer {
           new Date().getTime() + data.expires_in * 1000 - 1000 * 60;
         data.refresh_token = refresh_token;
         delete data.expires_in;
-        this.oauth_creds = data;
-        await fs.writeFile(oauth_file, JSON.stringify(data, null, 2));
+        credential.creds = { ...credential.creds, ...data };
+        if (!(await this.reloadCredential(credential))) {
+          await writeCredentialFile(credential.file, credential.creds);
+        }
+      })
+      .finally(() => {
+        credential.refreshPromise = null;
       });
+    return credential.refreshPromise;
+  }
+}
+
+// --- Model health probe (CLI) ---
+
+// Statuses the probe reports by name; anything else is reported as ERROR
+const PROBE_STATUS_LABELS = {
+  200: "OK",
+  403: "FORBIDDEN",
+  404: "NOT FOUND",
+  429: "RATE LIMITED",
+};
+
+/**
+ * Find the provider that uses this plugin and the plugin's own options in a
+ * CCR config file.
+ * @param {string} file - The config.json path
+ * @param {string} [providerName] - Provider to probe when several use the plugin
+ * @returns {{provider: Object, options: Object}}
+ */
+function loadProbeConfig(file, providerName) {
+  const config = JSON.parse(fsSync.readFileSync(file, "utf8"));
+  const providers = (config.Providers || config.providers || []).filter(
+    (provider) =>
+      providerName
+        ? provider.name === providerName
+        : provider.transformer?.use?.includes("gemini-cli")
+  );
+  if (!providers.length) {
+    throw new Error(
+      providerName
+        ? `No provider named '${providerName}' in ${file}`
+        : `No provider in ${file} uses the gemini-cli transformer`
+    );
   }
+  const plugin = (config.transformers || []).find(
+    (transformer) => path.basename(transformer.path || "") === "gemini-cli.js"
+  );
+  return { provider: providers[0], options: plugin?.options || {} };
+}
+
+/**
+ * Send one small thinking + tool call request to a model through
+ * transformRequestIn/transformResponseOut, the same path CCR uses.
+ * @param {GeminiCLITransformer} transformer - The transformer to probe with
+ * @param {Object} provider - The provider from config.json
+ * @param {string} model - The model name
+ * @returns {Promise<Object>} - { model, status, label, latencyMs, ... }
+ */
+async function probeModel(transformer, provider, model) {
+  const request = {
+    model,
+    messages: [
+      { role: "user", content: "What time is it? Use the get_time tool." },
+    ],
+    tools: [
+      {
+        type: "function",
+        function: {
+          name: "get_time",
+          description: "Get the current time",
+          parameters: { type: "object", properties: {} },
+        },
+      },
+    ],
+    reasoning: { effort: "low" },
+    max_tokens: 1024,
+    stream: false,
+  };
+  const context = { req: {} };
+  const started = Date.now();
+  try {
+    const transformed = await transformer.transformRequestIn(
+      request,
+      provider,
+      context
+    );
+    const upstream = await fetch(transformed.config.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...transformed.config.headers,
+      },
+      body: JSON.stringify(transformed.body),
+    });
+    const response = await transformer.transformResponseOut(upstream, context);
+    const text = await response.text();
+    const latencyMs = Date.now() - started;
+    const result = {
+      model,
+      status: response.status,
+      label: PROBE_STATUS_LABELS[response.status] || "ERROR",
+      latencyMs,
+    };
+    if (response.ok) {
+      const message = JSON.parse(text).choices?.[0]?.message || {};
+      result.thinking = !!message.thinking;
+      result.toolCall = !!message.tool_calls?.length;
+    } else {
+      let error;
+      try {
+        error = JSON.parse(text);
+        error = [].concat(error)[0]?.error?.message;
+      } catch {}
+      result.error = error || text.slice(0, 200);
+    }
+    return result;
+  } catch (error) {
+    return {
+      model,
+      status: null,
+      label: "ERROR",
+      latencyMs: Date.now() - started,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Probe every model of the provider and print one line per model (or JSON).
+ * @param {Object} flags - { config, provider, json }
+ * @returns {Promise<number>} - How many models failed
+ */
+async function runProbe(flags) {
+  const file = flags.config || path.join(__dirname, "..", "config.json");
+  const { provider, options } = loadProbeConfig(file, flags.provider);
+  // Report each model as it is: no retries, fallbacks or account swaps
+  const transformer = new GeminiCLITransformer({
+    ...options,
+    retry: { maxRetries: 0 },
+    fallbacks: {},
+    onQuotaExhausted: undefined,
+  });
+
+  const results = [];
+  for (const model of provider.models || []) {
+    const result = await probeModel(transformer, provider, model);
+    results.push(result);
+    if (!flags.json) {
+      let details = result.error || `HTTP ${result.status}`;
+      if (result.label === "OK") {
+        details =
+          [result.thinking && "thinking", result.toolCall && "tool call"]
+            .filter(Boolean)
+            .join(", ") || "no thinking or tool call";
+      }
+      console.log(
+        `  ${result.label.padEnd(13)}${model.padEnd(28)}${String(
+          result.latencyMs
+        ).padStart(6)}ms  ${details}`
+      );
+    }
+  }
+
+  const failed = results.filter((result) => result.label !== "OK").length;
+  if (flags.json) {
+    console.log(
+      JSON.stringify({ provider: provider.name, config: file, results }, null, 2)
+    );
+  } else {
+    console.log(
+      `\n${results.length - failed} working, ${failed} failed (provider ${provider.name})`
+    );
+  }
+  return failed;
 }
 
 module.exports = GeminiCLITransformer;
+
+// CLI Entry Point
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const i = args.indexOf(name);
+    if (i === -1) return undefined;
+    const [, value] = args.splice(i, 2);
+    return value;
+  };
+  const config = flag("--config");
+  const provider = flag("--provider");
+  const [command, ...rest] = args;
+
+  if (command === "probe") {
+    runProbe({ config, provider, json: rest.includes("--json") })
+      .then((failed) => {
+        if (failed > 0) process.exitCode = 1;
+      })
+      .catch((e) => {
+        console.error(e.message);
+        process.exitCode = 1;
+      });
+  } else {
+    console.log("Gemini CLI plugin for CCR");
+    console.log("");
+    console.log("Commands:");
+    console.log(
+      "  node plugins/gemini-cli.js probe [--json] [--config file] [--provider name]"
+    );
+    console.log(
+      "      Send a small thinking + tool call request to every model of the provider"
+    );
+    console.log(
+      "      that uses this plugin and report OK / NOT FOUND / FORBIDDEN / RATE LIMITED"
+    );
+  }
+}
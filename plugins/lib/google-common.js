@@ -0,0 +1,1005 @@
+// Helpers shared by the Google plugins (antigravity.js and gemini-cli.js).
+// Both talk to Code Assist style backends, so request building, retries and
+// response checks live here once instead of drifting apart in two copies.
+
+/*
+Retry policy: requests that fail before any output is streamed are retried
+with exponential backoff and full jitter. Transient 5xx errors and 429s that
+are short-term rate limits are retried; a delay the server asks for (RetryInfo
+retryDelay or Retry-After) replaces the backoff. 429s meaning a quota is used
+up (a daily quota, or a wait longer than maxRetryDelayMs) are not retried; the
+plugins rotate accounts or credentials instead. Each plugin merges its own
+retry option over RETRY_DEFAULTS.
+*/
+const RETRY_DEFAULTS = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxRetryDelayMs: 60000,
+};
+const TRANSIENT_STATUSES = [500, 502, 503, 504];
+
+/**
+ * Parse a google.protobuf.Duration-style string such as "3600s", "1.5s",
+ * "2h3m5.33s" or "500ms".
+ * @param {string} value - The duration
+ * @returns {number|null} - Milliseconds, or null if unparseable
+ */
+function parseDuration(value) {
+  if (typeof value !== "string") return null;
+  const re = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  let total = 0;
+  let matched = false;
+  let match;
+  while ((match = re.exec(value)) !== null) {
+    const amount = parseFloat(match[1]);
+    const unit = match[2];
+    total +=
+      unit === "h"
+        ? amount * 3600000
+        : unit === "m"
+        ? amount * 60000
+        : unit === "s"
+        ? amount * 1000
+        : amount;
+    matched = true;
+  }
+  return matched ? Math.ceil(total) : null;
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date).
+ * @param {string|null} value - The header value
+ * @returns {number|null} - Milliseconds, or null if absent
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value.trim())) {
+    return Math.ceil(parseFloat(value) * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Decide whether a failed response should be retried.
+ * @param {number} status - The HTTP status
+ * @param {Headers} headers - The response headers
+ * @param {string} errorText - The response body
+ * @param {number} retries - Retries already made for this request
+ * @param {Object} policy - RETRY_DEFAULTS merged with the plugin's retry option
+ * @returns {{retry: boolean, delayMs?: number, quotaExhausted?: boolean}}
+ */
+function classifyFailure(status, headers, errorText, retries, policy) {
+  const backoff = () =>
+    Math.random() *
+    Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** retries);
+  const retryAfter = parseRetryAfter(headers.get("retry-after"));
+
+  if (TRANSIENT_STATUSES.includes(status)) {
+    return {
+      retry: retries < policy.maxRetries,
+      delayMs: Math.min(retryAfter ?? backoff(), policy.maxRetryDelayMs),
+    };
+  }
+  if (status !== 429) {
+    return { retry: false };
+  }
+
+  let details = [];
+  try {
+    const parsed = JSON.parse(errorText);
+    details = (Array.isArray(parsed) ? parsed[0] : parsed)?.error?.details || [];
+  } catch {}
+  const detailOf = (type) =>
+    details.find((detail) => detail["@type"]?.endsWith(type));
+  const errorInfo = detailOf("google.rpc.ErrorInfo");
+  const serverDelay =
+    parseDuration(detailOf("google.rpc.RetryInfo")?.retryDelay) ??
+    parseDuration(errorInfo?.metadata?.quotaResetDelay) ??
+    retryAfter;
+  const daily =
+    errorInfo?.reason === "QUOTA_EXHAUSTED" ||
+    detailOf("google.rpc.QuotaFailure")?.violations?.some((violation) =>
+      /per ?day|daily/i.test(`${violation.quotaId} ${violation.description}`)
+    );
+
+  if (daily || serverDelay > policy.maxRetryDelayMs) {
+    return { retry: false, delayMs: serverDelay, quotaExhausted: true };
+  }
+  return {
+    retry: retries < policy.maxRetries,
+    delayMs: serverDelay ?? backoff(),
+  };
+}
+
+/*
+Safety settings: a threshold for every category ("BLOCK_NONE", "OFF", ...),
+an explicit [{ category, threshold }] list, or a map of model name -> either
+of those (with a "default" key).
+*/
+const HARM_CATEGORIES = [
+  "HARM_CATEGORY_HARASSMENT",
+  "HARM_CATEGORY_HATE_SPEECH",
+  "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+  "HARM_CATEGORY_DANGEROUS_CONTENT",
+];
+const BLOCKED_FINISH_REASONS = [
+  "SAFETY",
+  "RECITATION",
+  "BLOCKLIST",
+  "PROHIBITED_CONTENT",
+  "SPII",
+  "IMAGE_SAFETY",
+];
+
+/**
+ * Resolve a safetySettings option for a model.
+ * @param {string|Object[]|Object} setting - The plugin's safetySettings option
+ * @param {string|string[]} modelNames - Names the model may be configured
+ * under, tried in order
+ * @returns {Object[]|null} - The safetySettings to send, if any
+ */
+function resolveSafetySettings(setting, modelNames) {
+  if (setting && typeof setting === "object" && !Array.isArray(setting)) {
+    const key = [].concat(modelNames).find((name) => setting[name] !== undefined);
+    setting = key ? setting[key] : setting.default;
+  }
+  if (typeof setting === "string") {
+    return HARM_CATEGORIES.map((category) => ({
+      category,
+      threshold: setting,
+    }));
+  }
+  return Array.isArray(setting) ? setting : null;
+}
+
+/**
+ * Describe why Gemini blocked the prompt or the answer.
+ * @param {Object} response - The Gemini response (or stream chunk)
+ * @returns {{reason: string, category: string|null, message: string}|null}
+ */
+function getBlockedResult(response) {
+  const candidate = response?.candidates?.[0];
+  const reason = BLOCKED_FINISH_REASONS.includes(candidate?.finishReason)
+    ? candidate.finishReason
+    : !candidate && response?.promptFeedback?.blockReason;
+  if (!reason) return null;
+
+  const ratings =
+    (candidate
+      ? candidate.safetyRatings
+      : response.promptFeedback.safetyRatings) || [];
+  const category =
+    ratings.find((rating) => rating.blocked)?.category ||
+    ratings.find((rating) => rating.probability === "HIGH")?.category ||
+    null;
+  const what = candidate ? "The response" : "The prompt";
+  return {
+    reason,
+    category,
+    message: `[${what} was blocked by Gemini's content filter: ${reason}${
+      category ? `, ${category}` : ""
+    }]`,
+  };
+}
+
+/**
+ * Map a Gemini finishReason to an OpenAI finish_reason, the same way for
+ * every choice.
+ * @param {string} finishReason - The Gemini finishReason
+ * @param {boolean} hasToolCalls - Whether the choice calls tools
+ * @returns {string|null} - The finish_reason, or null while there is none
+ */
+function mapFinishReason(finishReason, hasToolCalls) {
+  if (!finishReason) return null;
+  if (BLOCKED_FINISH_REASONS.includes(finishReason)) return "content_filter";
+  if (finishReason === "MAX_TOKENS") return "length";
+  return hasToolCalls ? "tool_calls" : "stop";
+}
+
+/*
+Sampling parameters: OpenAI request field -> generationConfig field, clamped
+to what each model accepts:
+  max_tokens / max_completion_tokens -> maxOutputTokens (up to the model's
+    output limit)
+  temperature -> temperature (0-2 for Gemini, 0-1 for Claude; not allowed with
+    Claude thinking)
+  top_p -> topP (0-1; Claude takes it only without temperature, and at least
+    0.95 when thinking)
+  top_k -> topK (1-64 for Gemini; not allowed with Claude thinking)
+  stop -> stopSequences (first 5)
+  seed -> seed
+  presence_penalty / frequency_penalty -> presencePenalty / frequencyPenalty
+    (Gemini only, -2 to just under 2)
+  n -> candidateCount (Gemini only, 1-8, non-streaming; extra candidates are
+    returned as extra choices)
+*/
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Get the maximum number of output tokens a model supports.
+ * @param {string} model - The model name
+ * @returns {number} - The output token limit
+ */
+function getMaxOutputTokens(model) {
+  if (model.includes("claude")) return 64000;
+  if (/gemini-(1\.5|2\.0)/.test(model)) return 8192;
+  return 65536;
+}
+
+/**
+ * Copy the OpenAI sampling parameters onto generationConfig.
+ * @param {Object} generationConfig - The generationConfig to modify
+ * @param {Object} request - The OpenAI-format request
+ * @param {Object} options
+ * @param {string} options.model - The upstream model name
+ * @param {boolean} [options.isThinking] - Whether thinking is enabled
+ * @param {number} [options.defaultMaxOutputTokens] - maxOutputTokens to send
+ * when the request sets none (none by default)
+ */
+function applySamplingParams(
+  generationConfig,
+  request,
+  { model, isThinking = false, defaultMaxOutputTokens }
+) {
+  const isClaude = model.includes("claude");
+  const isNumber = (value) =>
+    typeof value === "number" && Number.isFinite(value);
+
+  const maxTokens = request.max_completion_tokens ?? request.max_tokens;
+  if (isNumber(maxTokens)) {
+    generationConfig.maxOutputTokens = clamp(
+      Math.floor(maxTokens),
+      1,
+      getMaxOutputTokens(model)
+    );
+  } else if (defaultMaxOutputTokens) {
+    generationConfig.maxOutputTokens = defaultMaxOutputTokens;
+  }
+
+  const claudeThinking = isClaude && isThinking;
+  if (isNumber(request.temperature) && !claudeThinking) {
+    generationConfig.temperature = clamp(request.temperature, 0, isClaude ? 1 : 2);
+  }
+  if (
+    isNumber(request.top_p) &&
+    !(isClaude && generationConfig.temperature !== undefined)
+  ) {
+    generationConfig.topP = clamp(request.top_p, claudeThinking ? 0.95 : 0, 1);
+  }
+  if (isNumber(request.top_k) && !claudeThinking) {
+    generationConfig.topK = isClaude
+      ? Math.max(1, Math.floor(request.top_k))
+      : clamp(Math.floor(request.top_k), 1, 64);
+  }
+
+  const stop = []
+    .concat(request.stop ?? [])
+    .filter((item) => typeof item === "string" && item);
+  if (stop.length > 0) {
+    generationConfig.stopSequences = stop.slice(0, 5);
+  }
+  if (Number.isInteger(request.seed)) {
+    generationConfig.seed = request.seed;
+  }
+
+  if (!isClaude) {
+    if (isNumber(request.presence_penalty)) {
+      generationConfig.presencePenalty = clamp(request.presence_penalty, -2, 1.99);
+    }
+    if (isNumber(request.frequency_penalty)) {
+      generationConfig.frequencyPenalty = clamp(request.frequency_penalty, -2, 1.99);
+    }
+    if (Number.isInteger(request.n) && request.n > 1 && !request.stream) {
+      generationConfig.candidateCount = Math.min(request.n, 8);
+    }
+  }
+}
+
+/**
+ * Whether a response_format asks for JSON (JSON mode / structured output).
+ * @param {Object} responseFormat - request.response_format
+ * @returns {boolean}
+ */
+function isJsonResponseFormat(responseFormat) {
+  return /^json_(object|schema)$/.test(responseFormat?.type || "");
+}
+
+/**
+ * Map an OpenAI response_format onto generationConfig.
+ * @param {Object} generationConfig - The generationConfig to modify
+ * @param {Object} responseFormat - request.response_format
+ * @param {Function} toSchemaFields - Turns the JSON schema into the fields
+ * the backend takes, e.g. { responseSchema } or { responseJsonSchema }
+ */
+function applyResponseFormat(generationConfig, responseFormat, toSchemaFields) {
+  if (!isJsonResponseFormat(responseFormat)) return;
+  generationConfig.responseMimeType = "application/json";
+  const schema = responseFormat.json_schema?.schema;
+  if (responseFormat.type === "json_schema" && schema) {
+    Object.assign(generationConfig, toSchemaFields(schema));
+  }
+}
+
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    case "integer":
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Minimal JSON Schema check (type, enum, required, properties, items,
+ * anyOf/oneOf).
+ * @param {*} value - The parsed model output
+ * @param {Object} schema - The JSON schema
+ * @param {string} at - Path of the value, for the message
+ * @returns {string|null} - The first violation found, or null
+ */
+function findSchemaViolation(value, schema, at = "$") {
+  if (!schema || typeof schema !== "object") return null;
+  if (value === null && schema.nullable) return null;
+
+  const options = schema.anyOf || schema.oneOf;
+  if (Array.isArray(options)) {
+    return options.some((option) => !findSchemaViolation(value, option, at))
+      ? null
+      : `${at} matches none of the allowed schemas`;
+  }
+  if (
+    Array.isArray(schema.enum) &&
+    !schema.enum.some((item) => JSON.stringify(item) === JSON.stringify(value))
+  ) {
+    return `${at} is not one of the allowed values`;
+  }
+  const types = []
+    .concat(schema.type || [])
+    .map((type) => String(type).toLowerCase());
+  if (types.length && !types.some((type) => matchesSchemaType(value, type))) {
+    return `${at} should be of type ${types.join(" or ")}`;
+  }
+
+  if (matchesSchemaType(value, "object")) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) return `${at}.${key} is required`;
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties?.[key]) {
+        const violation = findSchemaViolation(
+          child,
+          schema.properties[key],
+          `${at}.${key}`
+        );
+        if (violation) return violation;
+      } else if (schema.additionalProperties === false) {
+        return `${at}.${key} is not allowed`;
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const violation = findSchemaViolation(
+        value[i],
+        schema.items,
+        `${at}[${i}]`
+      );
+      if (violation) return violation;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether the output of a finished answer should be checked against the
+ * response_format. Tool calls, blocked answers and answers cut off at the
+ * token limit (finish_reason "length") are passed through unchecked.
+ * @param {Object} responseFormat - request.response_format
+ * @param {Object} answer
+ * @param {boolean} answer.hasToolCalls - Whether the answer calls tools
+ * @param {boolean} answer.blocked - Whether the content filter blocked it
+ * @param {string} answer.finishReason - The Gemini finishReason
+ * @returns {boolean}
+ */
+function shouldCheckJsonOutput(
+  responseFormat,
+  { hasToolCalls, blocked, finishReason }
+) {
+  return (
+    isJsonResponseFormat(responseFormat) &&
+    !hasToolCalls &&
+    !blocked &&
+    finishReason !== "MAX_TOKENS"
+  );
+}
+
+/**
+ * Check model output against the requested response_format.
+ * @param {string} text - The model's text output
+ * @param {Object} responseFormat - request.response_format
+ * @returns {{content?: string, error?: string}} - The output without any
+ * markdown fence, or why it was rejected
+ */
+function checkJsonOutput(text, responseFormat) {
+  const content = (text || "")
+    .trim()
+    .replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, "$1");
+  let value;
+  try {
+    value = JSON.parse(content);
+  } catch (error) {
+    return { error: `Model output is not valid JSON: ${error.message}` };
+  }
+  const violation = findSchemaViolation(
+    value,
+    responseFormat.json_schema?.schema
+  );
+  if (violation) {
+    return {
+      error: `Model output does not match the JSON schema: ${violation}`,
+    };
+  }
+  return { content };
+}
+
+/**
+ * The error body sent instead of output that failed checkJsonOutput, as a
+ * JSON response or as an SSE error event.
+ * @param {string} message - What checkJsonOutput reported
+ * @returns {Object}
+ */
+function invalidResponseFormatError(message) {
+  return { error: { message, type: "invalid_response_format" } };
+}
+
+/*
+Answers: converting Gemini candidates into OpenAI choices, and the last text
+of an answer, which is checked against the response_format in JSON mode and
+says why the answer is empty (or cut short) when the content filter blocked it.
+*/
+
+/**
+ * Convert a Gemini functionCall into an OpenAI tool call.
+ * @param {Object} functionCall - The functionCall of a part
+ * @returns {Object} - The tool call
+ */
+function functionCallToToolCall(functionCall) {
+  return {
+    id: functionCall.id || `call_${Math.random().toString(36).substring(2, 15)}`,
+    type: "function",
+    function: {
+      name: functionCall.name,
+      arguments: JSON.stringify(functionCall.args || {}),
+    },
+  };
+}
+
+function joinAnswerText(parts) {
+  return parts
+    .filter((part) => part.text && part.thought !== true)
+    .map((part) => part.text)
+    .join("");
+}
+
+/**
+ * Convert an extra candidate (n > 1) into an OpenAI choice.
+ * @param {Object} candidate - The Gemini candidate
+ * @param {number} index - The choice index
+ * @param {Function} [partsToText] - Joins the answer text of the parts,
+ * leaving out thoughts
+ * @returns {Object} - The choice, with text and tool calls only
+ */
+function candidateToChoice(candidate, index, partsToText = joinAnswerText) {
+  const parts = candidate.content?.parts || [];
+  const toolCalls = parts
+    .filter((part) => part.functionCall)
+    .map((part) => functionCallToToolCall(part.functionCall));
+  return {
+    index,
+    message: {
+      role: "assistant",
+      content: partsToText(parts) || null,
+      ...(toolCalls.length > 0 && { tool_calls: toolCalls }),
+    },
+    finish_reason: mapFinishReason(
+      candidate.finishReason || "STOP",
+      toolCalls.length > 0
+    ),
+  };
+}
+
+/**
+ * The last text of an answer. In JSON mode the whole output is checked
+ * against the response_format (see shouldCheckJsonOutput); a blocked answer
+ * ends with the reason it was blocked.
+ * @param {string} text - The answer text not sent yet (for a stream, the
+ * text that was held back)
+ * @param {Object} responseFormat - request.response_format
+ * @param {Object} answer
+ * @param {boolean} answer.hasToolCalls - Whether the answer calls tools
+ * @param {Object|null} answer.blocked - getBlockedResult of the response
+ * @param {string} answer.finishReason - The Gemini finishReason
+ * @param {boolean} [answer.textSent] - Whether some text was already streamed
+ * @returns {{content?: string, error?: string}} - The text to send, or why
+ * the output was rejected
+ */
+function finishAnswerText(
+  text,
+  responseFormat,
+  { hasToolCalls, blocked, finishReason, textSent = false }
+) {
+  let content = text || "";
+  if (
+    shouldCheckJsonOutput(responseFormat, {
+      hasToolCalls,
+      blocked,
+      finishReason,
+    })
+  ) {
+    const checked = checkJsonOutput(content, responseFormat);
+    if (checked.error) return checked;
+    content = checked.content;
+  }
+  if (blocked) {
+    content =
+      content || textSent ? `${content}\n\n${blocked.message}` : blocked.message;
+  }
+  return { content };
+}
+
+/*
+Remote images: images given as http(s) URLs are downloaded and inlined, since
+the API only accepts inline data here. Successful downloads are cached by URL,
+shared by both plugins, for IMAGE_CACHE_TTL_MS and up to IMAGE_CACHE_MAX_BYTES
+of base64 data in total; the least recently used images are dropped first.
+*/
+const IMAGE_MAX_BYTES = 10 * 1024 * 1024;
+const IMAGE_FETCH_TIMEOUT_MS = 15000;
+const IMAGE_CACHE_MAX_BYTES = 32 * 1024 * 1024;
+const IMAGE_CACHE_TTL_MS = 10 * 60 * 1000;
+// url -> { image: Promise<{ mimeType, data }>, bytes, expiresAt }; bytes is 0
+// while the download is in flight
+const remoteImageCache = new Map();
+let remoteImageCacheBytes = 0;
+
+function isRemoteImageUrl(url) {
+  return typeof url === "string" && /^https?:\/\//i.test(url);
+}
+
+/**
+ * Detect an image MIME type from its magic bytes.
+ * @param {Buffer} buffer - The start of the image data
+ * @returns {string|null} - The MIME type, or null if not recognised
+ */
+function detectImageMimeType(buffer) {
+  const ascii = (start, end) => buffer.subarray(start, end).toString("latin1");
+  if (buffer.length >= 8 && buffer[0] === 0x89 && ascii(1, 4) === "PNG") {
+    return "image/png";
+  }
+  if (
+    buffer.length >= 3 &&
+    buffer[0] === 0xff &&
+    buffer[1] === 0xd8 &&
+    buffer[2] === 0xff
+  ) {
+    return "image/jpeg";
+  }
+  if (ascii(0, 4) === "GIF8") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(0, 2) === "BM") return "image/bmp";
+  if (ascii(4, 8) === "ftyp") {
+    const brand = ascii(8, 12);
+    if (brand === "avif" || brand === "avis") return "image/avif";
+    if (["heic", "heix", "hevc", "heim", "heis"].includes(brand)) {
+      return "image/heic";
+    }
+    if (brand === "mif1" || brand === "msf1") return "image/heif";
+  }
+  return null;
+}
+
+/**
+ * Download an image, enforcing a size cap and a timeout.
+ * @param {string} url - The http(s) URL
+ * @param {Object} options - { maxBytes, timeoutMs }
+ * @returns {Promise<{mimeType: string, data: string}>} - base64 image data
+ */
+async function downloadImage(
+  url,
+  { maxBytes = IMAGE_MAX_BYTES, timeoutMs = IMAGE_FETCH_TIMEOUT_MS } = {}
+) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const declaredLength = parseInt(
+    response.headers.get("content-length") || "0",
+    10
+  );
+  if (declaredLength > maxBytes) {
+    throw new Error(`image is ${declaredLength} bytes (limit ${maxBytes})`);
+  }
+
+  const chunks = [];
+  let total = 0;
+  const reader = response.body.getReader();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > maxBytes) {
+      reader.cancel().catch(() => {});
+      throw new Error(`image exceeds ${maxBytes} bytes`);
+    }
+    chunks.push(value);
+  }
+
+  const buffer = Buffer.concat(chunks);
+  const headerType = (response.headers.get("content-type") || "")
+    .split(";")[0]
+    .trim();
+  const mimeType =
+    detectImageMimeType(buffer) ||
+    (headerType.startsWith("image/") ? headerType : null);
+  if (!mimeType) {
+    throw new Error(`not an image (${headerType || "unknown type"})`);
+  }
+  return { mimeType, data: buffer.toString("base64") };
+}
+
+function dropCachedImage(url) {
+  const entry = remoteImageCache.get(url);
+  if (entry) {
+    remoteImageCacheBytes -= entry.bytes;
+    remoteImageCache.delete(url);
+  }
+}
+
+/**
+ * Get an image from the cache, or download and cache it. Concurrent requests
+ * for the same URL share one download.
+ * @param {string} url - The http(s) URL
+ * @param {Object} options - { maxBytes, timeoutMs }
+ * @returns {Promise<{mimeType: string, data: string}>} - base64 image data
+ */
+async function getRemoteImage(url, options) {
+  const now = Date.now();
+  for (const [key, cached] of remoteImageCache) {
+    if (cached.expiresAt <= now) dropCachedImage(key);
+  }
+
+  let entry = remoteImageCache.get(url);
+  if (entry) {
+    // Move to the end, so it is evicted last
+    remoteImageCache.delete(url);
+    remoteImageCache.set(url, entry);
+    return entry.image;
+  }
+
+  entry = {
+    image: downloadImage(url, options),
+    bytes: 0,
+    expiresAt: now + IMAGE_CACHE_TTL_MS,
+  };
+  remoteImageCache.set(url, entry);
+  try {
+    const image = await entry.image;
+    if (remoteImageCache.get(url) === entry) {
+      entry.bytes = image.data.length;
+      remoteImageCacheBytes += entry.bytes;
+      // An image larger than the whole budget ends up evicting itself
+      for (const key of remoteImageCache.keys()) {
+        if (remoteImageCacheBytes <= IMAGE_CACHE_MAX_BYTES) break;
+        dropCachedImage(key);
+      }
+    }
+    return image;
+  } catch (error) {
+    if (remoteImageCache.get(url) === entry) dropCachedImage(url);
+    throw error;
+  }
+}
+
+/**
+ * Download every remote image referenced in the messages, in parallel.
+ * Both OpenAI image_url parts and Anthropic image blocks with a URL source
+ * are picked up.
+ * @param {Object[]} messages - OpenAI-format messages
+ * @param {Object} options - { maxBytes, timeoutMs, onError(url, error) }
+ * @returns {Promise<Map<string, {mimeType: string, data: string}>>} - Images
+ * by URL; URLs that could not be downloaded are left out
+ */
+async function fetchRemoteImages(messages, options = {}) {
+  const { onError = () => {}, ...downloadOptions } = options;
+  const urls = new Set();
+  for (const message of messages) {
+    if (!Array.isArray(message.content)) continue;
+    for (const content of message.content) {
+      const url = content?.image_url?.url || content?.source?.url;
+      if (
+        (content?.type === "image_url" || content?.type === "image") &&
+        isRemoteImageUrl(url)
+      ) {
+        urls.add(url);
+      }
+    }
+  }
+
+  const images = new Map();
+  await Promise.all(
+    [...urls].map(async (url) => {
+      try {
+        images.set(url, await getRemoteImage(url, downloadOptions));
+      } catch (error) {
+        onError(url, error);
+      }
+    })
+  );
+  return images;
+}
+
+/*
+Conversation repair: the API requires every model function call to be
+answered by the next user turn and user/model turns to alternate, which
+histories edited or interrupted on the client side don't always do.
+*/
+const INTERRUPTED_TOOL_RESULT =
+  "Tool call was interrupted before it returned a result.";
+
+/**
+ * Make sure every assistant tool call is answered before the conversation
+ * moves on, as the API requires. Results get their function name from the
+ * matching tool call, calls without a result (e.g. the user interrupted the
+ * tool run) get a placeholder result, and results that don't belong to a
+ * pending call are turned into plain user text.
+ * @param {Object[]} messages - OpenAI-format messages
+ * @param {Function} [onRepair] - Called as onRepair(description, details)
+ *   for every placeholder added or orphaned result converted
+ * @returns {Object[]} - A new, repaired message array
+ */
+function repairToolPairing(messages, onRepair = () => {}) {
+  const repaired = [];
+  let pending = new Map(); // tool_call_id -> name, for the latest assistant turn
+
+  const answerPending = () => {
+    for (const [id, name] of pending) {
+      onRepair("Adding placeholder result for unanswered tool call", {
+        id,
+        name,
+      });
+      repaired.push({
+        role: "tool",
+        tool_call_id: id,
+        name,
+        content: INTERRUPTED_TOOL_RESULT,
+      });
+    }
+    pending = new Map();
+  };
+
+  for (const message of messages) {
+    if (message.role === "tool") {
+      if (pending.has(message.tool_call_id)) {
+        repaired.push({
+          ...message,
+          name: message.name || pending.get(message.tool_call_id),
+        });
+        pending.delete(message.tool_call_id);
+      } else {
+        onRepair("Converting orphaned tool result to text", {
+          id: message.tool_call_id,
+        });
+        const content =
+          typeof message.content === "string"
+            ? message.content
+            : JSON.stringify(message.content);
+        repaired.push({
+          role: "user",
+          content: `[Tool result${
+            message.name ? ` from ${message.name}` : ""
+          }]\n${content}`,
+        });
+      }
+      continue;
+    }
+
+    // System messages don't break up a tool call and its results
+    if (message.role !== "system") {
+      answerPending();
+    }
+    repaired.push(message);
+    if (message.role === "assistant" && Array.isArray(message.tool_calls)) {
+      for (const toolCall of message.tool_calls) {
+        if (toolCall.id) pending.set(toolCall.id, toolCall.function?.name);
+      }
+    }
+  }
+  answerPending();
+  return repaired;
+}
+
+/**
+ * Merge consecutive contents with the same role so user/model turns alternate
+ * @param {Object[]} contents - Gemini contents
+ * @returns {Object[]} - The same array, merged in place
+ */
+function mergeConsecutiveTurns(contents) {
+  for (let i = contents.length - 1; i > 0; i--) {
+    if (contents[i].role === contents[i - 1].role) {
+      contents[i - 1].parts.push(...contents[i].parts);
+      contents.splice(i, 1);
+    }
+  }
+  return contents;
+}
+
+/*
+Thought signatures only validate on the model family (and, for Gemini, the
+model) that produced them. Signatures returned to the client are tagged with
+their origin, e.g. "ccr1~gemini~gemini-3-flash~<signature>", so history
+replayed on another route can drop them instead of failing with "invalid
+signature". Untagged signatures predate tagging and are passed through.
+*/
+const SIGNATURE_TAG_PREFIX = "ccr1~";
+
+// Documented bypass signature for Gemini 3 function calls whose real signature
+// isn't available (e.g. history produced by Claude or another model)
+const GEMINI_BYPASS_SIGNATURE = "context_engineering_is_the_way_to_go";
+
+/**
+ * The model family a model belongs to.
+ * @param {string} model - The model name
+ * @returns {string} - "claude" for Claude models, otherwise "gemini"
+ */
+function getModelFamily(model) {
+  return model.toLowerCase().includes("claude") ? "claude" : "gemini";
+}
+
+/**
+ * Tag a signature with the model that produced it.
+ * @param {string} signature - The raw thought signature
+ * @param {string} model - The model that returned it
+ * @returns {string} - The tagged signature
+ */
+function tagSignature(signature, model) {
+  if (!signature || !model || signature.startsWith(SIGNATURE_TAG_PREFIX)) {
+    return signature;
+  }
+  return `${SIGNATURE_TAG_PREFIX}${getModelFamily(model)}~${model}~${signature}`;
+}
+
+/**
+ * Get the raw signature to send to `model`. Claude signatures are accepted by
+ * every Claude model; Gemini ones only by the model that produced them (in any
+ * thinking tier, e.g. gemini-3-pro-low/-high).
+ * @param {string} signature - A tagged or legacy (untagged) signature
+ * @param {string} model - The model the request is for
+ * @returns {string|null} - The raw signature, or null if the model can't
+ * validate it
+ */
+function resolveSignature(signature, model) {
+  if (!signature) return null;
+  if (!signature.startsWith(SIGNATURE_TAG_PREFIX)) return signature;
+  const [family, origin, ...rest] = signature
+    .slice(SIGNATURE_TAG_PREFIX.length)
+    .split("~");
+  if (family !== getModelFamily(model)) return null;
+  const baseModel = (name) => name.replace(/-(minimal|low|medium|high)$/, "");
+  if (family === "gemini" && baseModel(origin) !== baseModel(model)) {
+    return null;
+  }
+  return rest.join("~");
+}
+
+/*
+Correlation IDs: each plugin tags the log lines of a request with a short
+random ID and returns it to the client in the REQUEST_ID_HEADER response
+header, so a failed request can be matched to its log lines.
+*/
+const REQUEST_ID_HEADER = "x-ccr-request-id";
+
+/**
+ * Copy a response with the request's correlation ID added to its headers.
+ * @param {Response} response - The response returned to the client
+ * @param {string} [requestId] - The request's correlation ID
+ * @returns {Response} - A new response, or the given one without an ID
+ */
+function withRequestId(response, requestId) {
+  if (!requestId || !(response instanceof Response)) {
+    return response;
+  }
+  const headers = new Headers(response.headers);
+  headers.set(REQUEST_ID_HEADER, requestId);
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+/*
+Request state: CCR passes the same Fastify request object as context.req to
+transformRequestIn and transformResponseOut, so the state of a request (its
+correlation ID, retries, account or model switches) is kept in a WeakMap keyed
+on it and concurrent requests never share it. A host that passes no
+context.req gets no state back, and its responses are converted without any
+retry or replay.
+*/
+
+/**
+ * Create the per-request state store of a plugin.
+ * @returns {{set: Function, get: Function}} - set(context, state) returns
+ * false if the context has no request to key the state on; get(context)
+ * returns the stored state, if any
+ */
+function createRequestStateStore() {
+  const states = new WeakMap();
+  const keyOf = (context) =>
+    context?.req && typeof context.req === "object" ? context.req : null;
+  return {
+    set(context, state) {
+      const key = keyOf(context);
+      if (!key) return false;
+      states.set(key, state);
+      return true;
+    },
+    get(context) {
+      const key = keyOf(context);
+      return key ? states.get(key) : undefined;
+    },
+  };
+}
+
+module.exports = {
+  RETRY_DEFAULTS,
+  TRANSIENT_STATUSES,
+  parseDuration,
+  parseRetryAfter,
+  classifyFailure,
+  HARM_CATEGORIES,
+  BLOCKED_FINISH_REASONS,
+  resolveSafetySettings,
+  getBlockedResult,
+  mapFinishReason,
+  clamp,
+  getMaxOutputTokens,
+  applySamplingParams,
+  isJsonResponseFormat,
+  applyResponseFormat,
+  findSchemaViolation,
+  shouldCheckJsonOutput,
+  checkJsonOutput,
+  invalidResponseFormatError,
+  functionCallToToolCall,
+  candidateToChoice,
+  finishAnswerText,
+  INTERRUPTED_TOOL_RESULT,
+  repairToolPairing,
+  mergeConsecutiveTurns,
+  isRemoteImageUrl,
+  detectImageMimeType,
+  downloadImage,
+  fetchRemoteImages,
+  REQUEST_ID_HEADER,
+  withRequestId,
+  createRequestStateStore,
+  SIGNATURE_TAG_PREFIX,
+  GEMINI_BYPASS_SIGNATURE,
+  getModelFamily,
+  tagSignature,
+  resolveSignature,
+};
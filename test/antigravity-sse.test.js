@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the plugin's signature cache and logs out of the real home directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-sse-'));
+process.env.HOME = home;
+const AntigravityTransformer = require('../plugins/antigravity');
+
+// An upstream Claude thinking stream in the wire format: thinking text with multi-byte characters,
+// a signature, answer text, a tool call sent as a multi-line data event, a comment and the final
+// chunk with usage. Lines end in \r\n.
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'antigravity-claude-tool-call.sse'));
+
+let transformer;
+before(() => {
+  transformer = new AntigravityTransformer({});
+});
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+/**
+ * Run the chunks through handleStream and return the OpenAI events it emits, without timestamps
+ */
+async function transform(chunks) {
+  const body = new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) controller.enqueue(chunk);
+      controller.close();
+    }
+  });
+  const state = { id: 'test', upstreamModel: 'claude-opus-4-5-thinking', request: {} };
+  const text = await transformer.handleStream(new Response(body), state).text();
+  return text.split('\n\n').filter(Boolean).map((event) => {
+    assert.ok(event.startsWith('data: '), `unexpected event ${event}`);
+    const data = event.slice('data: '.length);
+    if (data === '[DONE]') return data;
+    const { created, ...chunk } = JSON.parse(data);
+    return chunk;
+  });
+}
+
+function splitAt(buffer, offset) {
+  return [buffer.subarray(0, offset), buffer.subarray(offset)];
+}
+
+for (const [lineEnding, input] of [
+  ['CRLF', fixture],
+  ['LF', Buffer.from(fixture.toString('utf8').replace(/\r\n/g, '\n'))],
+]) {
+  test(`handleStream converts every event of the fixture (${lineEnding} line endings)`, async () => {
+    const events = await transform([input]);
+    const deltas = events.filter((e) => e !== '[DONE]').map((e) => e.choices[0].delta);
+
+    assert.deepEqual(deltas.filter((d) => d.thinking?.content).map((d) => d.thinking.content), [
+      "The user wants the file read — I'll call Read. ",
+      'Check the path first: src/日本語/ファイル.ts 🙂',
+    ]);
+    assert.ok(deltas.some((d) => d.thinking?.signature?.endsWith('EqQBCkgIBxABGAIiQPb1c2lnbmF0dXJlLWJ5dGVzLXRoYXQtYXJlLWxvbmc=')));
+    assert.deepEqual(deltas.filter((d) => d.content).map((d) => d.content), ['Reading the file now… ✓ ']);
+    assert.deepEqual(deltas.find((d) => d.tool_calls)?.tool_calls, [{
+      index: 0,
+      id: 'toolu_01ABC',
+      type: 'function',
+      function: { name: 'Read', arguments: JSON.stringify({ file_path: '/src/日本語/ファイル.ts', limit: 200 }) },
+    }]);
+
+    const final = events[events.length - 2];
+    assert.equal(final.choices[0].finish_reason, 'tool_calls');
+    assert.equal(final.usage.total_tokens, 1325);
+    assert.equal(events[events.length - 1], '[DONE]');
+    assert.ok(events.every((e) => e === '[DONE]' || e.id === 'resp-opus-1'));
+  });
+
+  test(`handleStream output does not depend on chunk boundaries (${lineEnding} line endings)`, async () => {
+    const expected = await transform([input]);
+    for (let offset = 1; offset < input.length; offset++) {
+      assert.deepEqual(await transform(splitAt(input, offset)), expected, `split at byte ${offset}`);
+    }
+    const bytes = [...input].map((byte) => Uint8Array.of(byte));
+    assert.deepEqual(await transform(bytes), expected, 'one byte per chunk');
+  });
+}
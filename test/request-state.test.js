@@ -0,0 +1,220 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Both plugins keep their accounts, credentials and caches under the home directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'request-state-'));
+process.env.HOME = home;
+
+const configDir = path.join(home, '.config', 'claude-code-router');
+fs.mkdirSync(configDir, { recursive: true });
+fs.writeFileSync(path.join(configDir, 'antigravity-accounts.json'), JSON.stringify({
+  version: 3,
+  accounts: [
+    { email: 'first@example.com', refreshToken: 'refresh-1', projectId: 'project-1' },
+    { email: 'second@example.com', refreshToken: 'refresh-2', projectId: 'project-2' },
+  ],
+  activeIndex: 0,
+  activeIndexByFamily: { claude: 0, gemini: 0 },
+}));
+
+const geminiCredentials = ['one', 'two'].map((name) => {
+  const file = path.join(home, `gemini-${name}.json`);
+  fs.writeFileSync(file, JSON.stringify({
+    access_token: `token-${name}`,
+    refresh_token: `refresh-${name}`,
+    expiry_date: Date.now() + 60 * 60 * 1000,
+  }));
+  return file;
+});
+
+const AntigravityTransformer = require('../plugins/antigravity');
+const GeminiCLITransformer = require('../plugins/gemini-cli');
+const { REQUEST_ID_HEADER } = require('../plugins/lib/google-common');
+
+// A quota that won't reset before maxRetryDelayMs, so it is not retried in place
+const QUOTA_EXHAUSTED = JSON.stringify({
+  error: {
+    code: 429,
+    message: 'Quota exceeded',
+    details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '3600s' }],
+  },
+});
+
+const realFetch = global.fetch;
+let upstream; // (call) => Response for generateContent requests
+let calls;
+
+before(() => {
+  global.fetch = async (url, options = {}) => {
+    url = String(url);
+    if (url.startsWith('https://oauth2.googleapis.com/token')) {
+      const refreshToken = new URLSearchParams(String(options.body)).get('refresh_token');
+      return Response.json({ access_token: `access-${refreshToken}`, expires_in: 3600 });
+    }
+    if (url.includes(':loadCodeAssist')) {
+      return Response.json({ cloudaicompanionProject: 'project' });
+    }
+    const body = JSON.parse(options.body);
+    const contents = JSON.stringify(body.request.contents);
+    const call = {
+      conversation: ['A', 'B'].filter((name) => contents.includes(`conversation ${name}`)).join(''),
+      model: body.model,
+      authorization: options.headers.Authorization,
+      contents: body.request.contents,
+    };
+    calls.push(call);
+    return upstream(call);
+  };
+});
+
+after(() => {
+  global.fetch = realFetch;
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function answer(call, signature) {
+  return Response.json({
+    response: {
+      responseId: `resp-${call.conversation}`,
+      modelVersion: call.model,
+      candidates: [{
+        content: {
+          role: 'model',
+          parts: [
+            { text: `thinking about ${call.conversation}`, thought: true, thoughtSignature: signature },
+            { text: `answer ${call.conversation}` },
+          ],
+        },
+        finishReason: 'STOP',
+      }],
+      usageMetadata: { promptTokenCount: 1, candidatesTokenCount: 1, totalTokenCount: 2 },
+    },
+  });
+}
+
+/**
+ * Run both requests through the plugin the way the host does, with their own context.req. Both are
+ * transformed before either response comes back, so any state shared between them would leak.
+ */
+async function interleave(plugin, requests) {
+  const contexts = requests.map(() => ({ req: {} }));
+  const transformed = [];
+  for (const [i, request] of requests.entries()) {
+    transformed.push(await plugin.transformRequestIn(request, { name: 'test' }, contexts[i]));
+  }
+  return Promise.all(transformed.map(async ({ body, config }, i) => {
+    const response = await global.fetch(config.url, { method: 'POST', headers: config.headers, body: JSON.stringify(body) });
+    return plugin.transformResponseOut(response, contexts[i]);
+  }));
+}
+
+const callsFor = (conversation) => calls.filter((call) => call.conversation === conversation);
+
+test('antigravity keeps account rotation and thinking signatures per request', async () => {
+  const plugin = new AntigravityTransformer({});
+  const model = 'antigravity-claude-sonnet-4-5-thinking';
+  const firstTurn = (name) => ({ model, messages: [{ role: 'user', content: `conversation ${name}` }] });
+
+  // A's first account is out of quota; B's request, sent on the same account, goes through
+  calls = [];
+  let rateLimited = false;
+  upstream = async (call) => {
+    if (call.conversation === 'A') {
+      await delay(20);
+      if (!rateLimited) {
+        rateLimited = true;
+        return new Response(QUOTA_EXHAUSTED, { status: 429 });
+      }
+    }
+    return answer(call, `signature-${call.conversation}`);
+  };
+  const [responseA, responseB] = await interleave(plugin, [firstTurn('A'), firstTurn('B')]);
+
+  assert.ok(calls.every((call) => call.conversation.length === 1), 'a request was sent with another conversation');
+  assert.deepEqual(callsFor('A').map((call) => call.authorization), ['Bearer access-refresh-1', 'Bearer access-refresh-2']);
+  assert.deepEqual(callsFor('B').map((call) => call.authorization), ['Bearer access-refresh-1']);
+
+  const [a, b] = [await responseA.json(), await responseB.json()];
+  assert.equal(a.choices[0].message.content, 'answer A');
+  assert.equal(b.choices[0].message.content, 'answer B');
+  assert.ok(a.choices[0].message.thinking.signature.endsWith('~signature-A'));
+  assert.ok(b.choices[0].message.thinking.signature.endsWith('~signature-B'));
+
+  const ids = [responseA.headers.get(REQUEST_ID_HEADER), responseB.headers.get(REQUEST_ID_HEADER)];
+  assert.ok(ids.every(Boolean));
+  assert.notEqual(ids[0], ids[1]);
+
+  // Next turn: each conversation's tool call gets the signature cached from its own response
+  const toolTurn = (name) => ({
+    model,
+    messages: [
+      { role: 'user', content: `conversation ${name}` },
+      {
+        role: 'assistant',
+        content: '',
+        tool_calls: [{ id: `call-${name}`, type: 'function', function: { name: 'Read', arguments: '{}' } }],
+      },
+      { role: 'tool', tool_call_id: `call-${name}`, content: 'file contents' },
+    ],
+    tools: [{ type: 'function', function: { name: 'Read', parameters: { type: 'object', properties: {} } } }],
+  });
+  calls = [];
+  upstream = (call) => answer(call, `signature-${call.conversation}-2`);
+  await interleave(plugin, [toolTurn('A'), toolTurn('B')]);
+
+  for (const name of ['A', 'B']) {
+    const [call] = callsFor(name);
+    const modelTurn = call.contents.find((content) => content.role === 'model');
+    const thought = modelTurn.parts.find((part) => part.thought === true);
+    assert.equal(thought?.thoughtSignature, `signature-${name}`, `conversation ${name}`);
+  }
+});
+
+test('gemini-cli keeps credential rotation, model fallback and signatures per request', async () => {
+  const plugin = new GeminiCLITransformer({
+    credentials: geminiCredentials,
+    fallbacks: { 'gemini-3-pro-preview': ['gemini-2.5-pro'] },
+  });
+
+  // A: quota exhausted on the first credential, then its model is missing on the second and it
+  // falls back. B goes through on the first credential in the meantime.
+  calls = [];
+  upstream = async (call) => {
+    if (call.conversation === 'A') {
+      await delay(20);
+      if (callsFor('A').length === 1) return new Response(QUOTA_EXHAUSTED, { status: 429 });
+      if (call.model === 'gemini-3-pro-preview') return new Response('Not Found', { status: 404 });
+    }
+    return answer(call, `signature-${call.conversation}`);
+  };
+  const [responseA, responseB] = await interleave(plugin, [
+    { model: 'gemini-3-pro-preview', messages: [{ role: 'user', content: 'conversation A' }] },
+    { model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'conversation B' }] },
+  ]);
+
+  assert.ok(calls.every((call) => call.conversation.length === 1), 'a request was sent with another conversation');
+  assert.deepEqual(callsFor('A').map((call) => [call.model, call.authorization]), [
+    ['gemini-3-pro-preview', 'Bearer token-one'],
+    ['gemini-3-pro-preview', 'Bearer token-two'],
+    ['gemini-2.5-pro', 'Bearer token-two'],
+  ]);
+  assert.deepEqual(callsFor('B').map((call) => [call.model, call.authorization]), [
+    ['gemini-2.5-flash', 'Bearer token-one'],
+  ]);
+
+  const [a, b] = [await responseA.json(), await responseB.json()];
+  assert.equal(a.choices[0].message.content, 'answer A');
+  assert.equal(b.choices[0].message.content, 'answer B');
+  // Signatures are tagged with the model that produced them: the fallback for A, B's own model for B
+  assert.equal(a.choices[0].message.thinking.signature, 'ccr1~gemini~gemini-2.5-pro~signature-A');
+  assert.equal(b.choices[0].message.thinking.signature, 'ccr1~gemini~gemini-2.5-flash~signature-B');
+
+  const ids = [responseA.headers.get(REQUEST_ID_HEADER), responseB.headers.get(REQUEST_ID_HEADER)];
+  assert.ok(ids.every(Boolean));
+  assert.notEqual(ids[0], ids[1]);
+});